@@ -0,0 +1,164 @@
+const { execFile } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+const { promisify } = require('util');
+const { loadRegistry, findPlayer, readJsonFile, assertValid } = require('./lib');
+const { ADP_FORMATS, CONSENSUS_DIR, DOCS_DATA_DIR } = require('./adp-scraper');
+
+// Kept out of Expert-Consensus, where every JSON file is read as a list of players
+const HISTORY_PATH = 'Player-Context/ADP-History/adp-history.json';
+const HISTORY_FILE = 'adp-history.json';
+
+// One snapshot a day for the last DAILY_DAYS (enough for 30-day trends), then the last snapshot of each week,
+// dropped entirely after MAX_DAYS
+const DAILY_DAYS = 35;
+const MAX_DAYS = 400;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const shiftDate = (date, days) => new Date(Date.parse(date) + days * DAY).toISOString().slice(0, 10);
+// Weeks run Monday to Sunday (1 January 1970 was a Thursday)
+const weekOf = date => Math.floor((Date.parse(date) / DAY + 3) / 7);
+const formatKey = format => path.basename(format.file, '.json');
+
+function createEmptyHistory() {
+  return { version: 1, updated_at: null, formats: {} };
+}
+
+// A format's history is stored by column to stay small: { dates: [...], players: { id: [adp or null per date] } }.
+// Expanded, it is a Map of date -> Map of id -> adp
+function expandSeries(series = { dates: [], players: {} }) {
+  const snapshots = new Map(series.dates.map(date => [date, new Map()]));
+  Object.entries(series.players).forEach(([id, values]) => {
+    values.forEach((adp, i) => {
+      if (adp !== null) snapshots.get(series.dates[i]).set(id, adp);
+    });
+  });
+  return snapshots;
+}
+
+function collapseSeries(snapshots) {
+  const dates = [...snapshots.keys()].sort();
+  const ids = [...new Set(dates.flatMap(date => [...snapshots.get(date).keys()]))].sort();
+  const players = {};
+  ids.forEach(id => {
+    players[id] = dates.map(date => snapshots.get(date).get(id) ?? null);
+  });
+  return { dates, players };
+}
+
+// Registry id -> ADP for one consensus file; players the registry does not know are left out
+function snapshotOf(players, registry) {
+  const snapshot = new Map();
+  players.forEach(player => {
+    const entry = findPlayer(registry, player);
+    if (entry && typeof player.adp === 'number') snapshot.set(entry.id, Math.round(player.adp * 10) / 10);
+  });
+  return snapshot;
+}
+
+// Thin out snapshots older than dailyDays to one a week and drop those older than maxDays
+function compactSnapshots(snapshots, today, { dailyDays = DAILY_DAYS, maxDays = MAX_DAYS } = {}) {
+  const dailyFrom = shiftDate(today, -dailyDays);
+  const oldest = shiftDate(today, -maxDays);
+  const dates = [...snapshots.keys()].sort();
+  
+  return new Map(dates
+    .filter((date, i) => date >= dailyFrom || (date >= oldest && (i === dates.length - 1 || weekOf(dates[i + 1]) !== weekOf(date))))
+    .map(date => [date, snapshots.get(date)]));
+}
+
+// Record (or, run again the same day, replace) the day's snapshot of a format and compact its history
+function recordSnapshot(series, date, snapshot, options = {}) {
+  const snapshots = expandSeries(series);
+  snapshots.set(date, snapshot);
+  return collapseSeries(compactSnapshots(snapshots, date, options));
+}
+
+// Pretty-printed, but each array on one line, so the file stays small and a day's diff is one line per player
+const formatHistory = history => JSON.stringify(history, null, 2).replace(/\[[^[\]{}]*\]/g, array => array.replace(/\s+/g, ''));
+
+async function writeHistory(filePath, history) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, formatHistory(history));
+  console.log(`📁 ADP history saved to ${filePath}`);
+}
+
+const runGit = promisify(execFile);
+
+// Every committed version of a file, oldest first: [{ date, content }]
+async function gitVersions(filePath) {
+  const { stdout } = await runGit('git', ['log', '--reverse', '--format=%H %cI', '--', filePath], { maxBuffer: 16 * 1024 * 1024 });
+  const versions = [];
+  for (const line of stdout.split('\n').filter(Boolean)) {
+    const [hash, committed] = line.split(' ');
+    const { stdout: content } = await runGit('git', ['show', `${hash}:${filePath}`], { maxBuffer: 64 * 1024 * 1024 });
+    versions.push({ date: committed.slice(0, 10), content });
+  }
+  return versions;
+}
+
+// Add today's consensus files to the history (or, with backfill, every version in git) and publish it
+async function updateAdpHistory(options = {}) {
+  const {
+    formats = ADP_FORMATS,
+    consensusDir = CONSENSUS_DIR,
+    docsDir = DOCS_DATA_DIR,
+    historyPath = HISTORY_PATH,
+    registryPath,
+    backfill = false,
+    today = new Date().toISOString().slice(0, 10)
+  } = options;
+  
+  const registry = await loadRegistry(registryPath);
+  const history = (await readJsonFile(historyPath)) || createEmptyHistory();
+  
+  for (const format of formats) {
+    const consensusPath = path.join(consensusDir, format.file);
+    const key = formatKey(format);
+    let series = history.formats[key];
+    
+    if (backfill) {
+      for (const { date, content } of await gitVersions(consensusPath)) {
+        series = recordSnapshot(series, date, snapshotOf(JSON.parse(content), registry), { dailyDays: MAX_DAYS });
+      }
+    }
+    
+    const players = await readJsonFile(consensusPath);
+    if (!players) throw new Error(`${consensusPath} not found; run the ADP scrape first`);
+    series = recordSnapshot(series, today, snapshotOf(players, registry));
+    
+    history.formats[key] = series;
+    console.log(`📈 ${format.label}: ${Object.keys(series.players).length} players over ${series.dates.length} snapshots`);
+  }
+  
+  history.updated_at = new Date().toISOString();
+  assertValid('adp-history', history);
+  await writeHistory(historyPath, history);
+  await writeHistory(path.join(docsDir, HISTORY_FILE), history);
+  return history;
+}
+
+// Run if called directly (--backfill to rebuild the history from the consensus files' git log first)
+if (require.main === module) {
+  updateAdpHistory({ backfill: process.argv.includes('--backfill') })
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('💥 ADP history failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  HISTORY_PATH,
+  DAILY_DAYS,
+  MAX_DAYS,
+  createEmptyHistory,
+  expandSeries,
+  collapseSeries,
+  snapshotOf,
+  compactSnapshots,
+  recordSnapshot,
+  formatHistory,
+  updateAdpHistory
+};
@@ -0,0 +1,97 @@
+const path = require('path');
+const { ADP_API_URL, fetchAdpPlayers, assertValid, writeOutput, writeCheckedOutput } = require('./lib');
+
+// API endpoint for each scoring format and the file name the site loads it from
+const ADP_FORMATS = [
+  { format: 'ppr', file: 'PPR.json', label: 'PPR' },
+  { format: 'half', file: 'HPPR.json', label: 'Half PPR' },
+  { format: 'standard', file: 'STAN.json', label: 'Standard' }
+];
+
+const CONSENSUS_DIR = 'Player-Context/Expert-Consensus';
+const DOCS_DATA_DIR = 'docs/data';
+
+const POSITION_ALIASES = { 'D/ST': 'DST', DEF: 'DST', PK: 'K' };
+const KNOWN_POSITIONS = ['QB', 'RB', 'WR', 'TE', 'K', 'DST'];
+const RISK_LEVELS = ['Low', 'Medium', 'High'];
+
+function toNumber(value) {
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  return Number.isFinite(number) ? number : null;
+}
+
+// Clean one endpoint's records into the consensus file shape, keeping the API's ranks and ids where it has them
+function normalizeAdpPlayers(rawPlayers) {
+  const positionCounts = {};
+  
+  return rawPlayers
+    .map((player, index) => ({ player, index }))
+    .filter(({ player }) => player && typeof player.name === 'string' && player.name.trim() && player.position)
+    .map(({ player, index }) => {
+      const rawPosition = String(player.position).trim().toUpperCase();
+      return { player, position: POSITION_ALIASES[rawPosition] || rawPosition, overallRank: toNumber(player.overallRank) || index + 1 };
+    })
+    .filter(({ position }) => KNOWN_POSITIONS.includes(position))
+    .sort((a, b) => a.overallRank - b.overallRank)
+    .map(({ player, position, overallRank }) => {
+      positionCounts[position] = (positionCounts[position] || 0) + 1;
+      
+      return {
+        id: player.id ? String(player.id) : `adp_${overallRank}`,
+        name: player.name.trim(),
+        team: player.team ? String(player.team).trim().toUpperCase() : 'FA',
+        position,
+        overallRank,
+        positionRank: toNumber(player.positionRank) || positionCounts[position],
+        adp: toNumber(player.adp) ?? overallRank,
+        risk: RISK_LEVELS.includes(player.risk) ? player.risk : 'Medium',
+        notes: typeof player.notes === 'string' ? player.notes : ''
+      };
+    });
+}
+
+function formatUrl(format) {
+  return `${ADP_API_URL}/${format.format}`;
+}
+
+// Fetch every format before writing anything, so one failing endpoint cannot leave the formats out of step
+async function updateAdpData(options = {}) {
+  const { formats = ADP_FORMATS, consensusDir = CONSENSUS_DIR, docsDir = DOCS_DATA_DIR, force = false } = options;
+  const results = [];
+  
+  for (const format of formats) {
+    const players = normalizeAdpPlayers(await fetchAdpPlayers(formatUrl(format), options));
+    assertValid('expert-consensus', players);
+    console.log(`📊 ${format.label}: ${players.length} players`);
+    results.push({ format, players });
+  }
+  
+  for (const { format, players } of results) {
+    await writeCheckedOutput(path.join(consensusDir, format.file), players, { schema: 'expert-consensus', force });
+    await writeOutput(path.join(docsDir, format.file), players);
+  }
+  
+  return results;
+}
+
+// Run if called directly (--force to write even if a format shrank a lot)
+if (require.main === module) {
+  updateAdpData({ force: process.argv.includes('--force') })
+    .then(() => {
+      console.log('🎯 ADP update completed successfully!');
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('💥 ADP update failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  ADP_FORMATS,
+  CONSENSUS_DIR,
+  DOCS_DATA_DIR,
+  normalizeAdpPlayers,
+  formatUrl,
+  updateAdpData
+};
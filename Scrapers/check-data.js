@@ -0,0 +1,82 @@
+const fs = require('fs').promises;
+const { REGISTRY_PATH, validateSchema, loadSchema, readJsonFile, writeCheckedOutput } = require('./lib');
+
+// Every generated file the workflows commit, with the schema it must match
+const DATA_FILES = [
+  { schema: 'player-stats', path: 'Player-Context/Stats/player-stats.json' },
+  { schema: 'player-weekly-stats', path: 'Player-Context/Stats/player-weekly-stats.json' },
+  { schema: 'injury-history', path: 'Player-Context/Injury/injury-history.json' },
+  { schema: 'player-registry', path: REGISTRY_PATH },
+  { schema: 'adp-history', path: 'Player-Context/ADP-History/adp-history.json' },
+  { schema: 'risk-factors', path: 'Player-Context/Risk/risk-factors.json' },
+  ...['PPR', 'HPPR', 'STAN'].map(format => ({ schema: 'expert-consensus', path: `Player-Context/Expert-Consensus/${format}.json` }))
+];
+
+// Validate each file that exists; resolves to the list of { path, errors } that failed
+async function checkDataFiles(files = DATA_FILES) {
+  const failures = [];
+  
+  for (const file of files) {
+    let data;
+    try {
+      data = await readJsonFile(file.path);
+    } catch (error) {
+      failures.push({ path: file.path, errors: [`not valid JSON: ${error.message}`] });
+      continue;
+    }
+    
+    if (data === null) {
+      console.log(`⏭️  ${file.path}: not generated yet`);
+      continue;
+    }
+    
+    const errors = validateSchema(loadSchema(file.schema), data);
+    if (errors.length > 0) {
+      failures.push({ path: file.path, errors });
+    } else {
+      console.log(`✅ ${file.path}`);
+    }
+  }
+  
+  return failures;
+}
+
+// Move a freshly downloaded file into place only if it is valid and not clearly worse than the current one
+async function installCandidate(schema, candidatePath, targetPath, options = {}) {
+  const data = JSON.parse(await fs.readFile(candidatePath, 'utf8'));
+  await writeCheckedOutput(targetPath, data, { schema, force: options.force });
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const force = argv.includes('--force');
+  const args = argv.filter(arg => arg !== '--force');
+  
+  if (args.length === 3) {
+    await installCandidate(args[0], args[1], args[2], { force });
+    return;
+  }
+  if (args.length !== 0) {
+    throw new Error('Usage: node Scrapers/check-data.js [<schema> <candidate.json> <target.json> [--force]]');
+  }
+  
+  const failures = await checkDataFiles();
+  failures.forEach(({ path, errors }) => {
+    console.error(`❌ ${path}:`);
+    errors.slice(0, 10).forEach(error => console.error(`  ${error}`));
+  });
+  if (failures.length > 0) {
+    throw new Error(`${failures.length} data file(s) failed validation`);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('💥 Data check failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { DATA_FILES, checkDataFiles, installCandidate };
@@ -0,0 +1,207 @@
+const { parseArgs } = require('util');
+const { SKILL_POSITIONS, planScraper, runFromCommandLine } = require('./lib');
+const { statsPlugin, weeklyStatsPlugin, fantasyProsSource } = require('./stats-scraper');
+const { injuryPlugin, foxSportsSource } = require('./injury-history-scraper');
+const { createCsvStatsSource, createCsvInjurySource } = require('./csv-source');
+const { ADP_FORMATS, formatUrl, updateAdpData } = require('./adp-scraper');
+
+const USAGE = `Usage: node Scrapers/cli.js <stats|injuries|adp> [options]
+
+Commands:
+  stats                 FantasyPros season totals (--weekly for game-by-game rows)
+  injuries              Fox Sports injury history
+  adp                   PPR/Half/Standard ADP into Expert-Consensus and docs/data
+
+Options:
+  -p, --player <name>   Only this player (repeatable); results are merged into the existing output
+  --position <list>     Positions to include, comma separated (default ${SKILL_POSITIONS.join(',')})
+  --top <n>             Take the top N players by ADP instead of 250
+  --seasons <range>     Season or range for stats, e.g. 2024 or 2021-2024 (merged into existing output)
+  -o, --output <path>   Write to this file instead of the default output
+  --concurrency <n>     Players scraped at once (batch size)
+  --delay <ms>          Pause between batches
+  --dry-run             Print the URLs that would be tried and exit
+  --resume              Continue from the last checkpoint (of a run with the same options)
+  --full                Ignore the previous output and re-fetch every season
+  --force               Write the output even if it looks much worse than the previous run
+  --no-cache            Bypass the on-disk page cache
+  --source <source>     Data source, in priority order (repeatable): fantasypros or foxsports
+                        for the site, csv:<file> for a local CSV (default: the site only)
+  --weekly              Week-by-week game logs (stats only)
+  --format <list>       ADP formats to fetch, comma separated (default ${ADP_FORMATS.map(format => format.format).join(',')})
+  -h, --help            Show this help`;
+
+const OPTIONS = {
+  player: { type: 'string', short: 'p', multiple: true },
+  position: { type: 'string' },
+  top: { type: 'string' },
+  seasons: { type: 'string' },
+  output: { type: 'string', short: 'o' },
+  concurrency: { type: 'string' },
+  delay: { type: 'string' },
+  'dry-run': { type: 'boolean' },
+  resume: { type: 'boolean' },
+  full: { type: 'boolean' },
+  force: { type: 'boolean' },
+  'no-cache': { type: 'boolean' },
+  source: { type: 'string', multiple: true },
+  weekly: { type: 'boolean' },
+  format: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+const KNOWN_POSITIONS = [...SKILL_POSITIONS, 'K', 'DST'];
+
+function parseCount(value, flag, min = 0) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    throw new Error(`${flag} expects a whole number of at least ${min}, got "${value}"`);
+  }
+  return number;
+}
+
+// "2024" or "2021-2024" (either order)
+function parseSeasonRange(value) {
+  const match = /^(\d{4})(?:-(\d{4}))?$/.exec(value);
+  if (!match) {
+    throw new Error(`--seasons expects a year or a range like 2021-2024, got "${value}"`);
+  }
+  
+  const years = [Number(match[1]), Number(match[2] || match[1])];
+  return { from: Math.min(...years), to: Math.max(...years) };
+}
+
+function parsePositions(value) {
+  const positions = value.split(',').map(position => position.trim().toUpperCase()).filter(Boolean);
+  const unknown = positions.filter(position => !KNOWN_POSITIONS.includes(position));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown position(s): ${unknown.join(', ')} (expected ${KNOWN_POSITIONS.join(', ')})`);
+  }
+  return positions;
+}
+
+function parseFormats(value) {
+  return value.split(',').map(name => {
+    const format = ADP_FORMATS.find(candidate => candidate.format === name.trim().toLowerCase());
+    if (!format) {
+      throw new Error(`Unknown ADP format "${name}" (expected ${ADP_FORMATS.map(candidate => candidate.format).join(', ')})`);
+    }
+    return format;
+  });
+}
+
+// --source values for a command, in the order given (first source wins conflicts)
+function parseSources(specs, command) {
+  const site = command === 'stats' ? fantasyProsSource : foxSportsSource;
+  
+  return specs.map(spec => {
+    if (spec === site.name) return site;
+    if (spec.startsWith('csv:') && spec.length > 4) {
+      return command === 'stats' ? createCsvStatsSource(spec.slice(4)) : createCsvInjurySource(spec.slice(4));
+    }
+    throw new Error(`Unknown source "${spec}" for ${command} (expected ${site.name} or csv:<file>)`);
+  });
+}
+
+// Turn argv into { command, options } for runScraper; throws on anything it does not understand
+function parseCommandLine(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  const [command, ...extra] = positionals;
+  
+  if (values.help) return { command: 'help', options: {} };
+  if (!['stats', 'injuries', 'adp'].includes(command)) {
+    throw new Error(command ? `Unknown command "${command}"` : 'Missing command');
+  }
+  if (extra.length > 0) throw new Error(`Unexpected argument "${extra[0]}"`);
+  if (values.seasons && command !== 'stats') throw new Error('--seasons only applies to stats');
+  if (values.weekly && command !== 'stats') throw new Error('--weekly only applies to stats');
+  if (values.format && command !== 'adp') throw new Error('--format only applies to adp');
+  if (values.source && values.weekly) throw new Error('--source does not apply to --weekly');
+  if (command === 'adp') {
+    const playerFlag = ['player', 'position', 'top', 'output', 'concurrency', 'delay', 'resume', 'full', 'no-cache', 'source']
+      .find(flag => values[flag] !== undefined);
+    if (playerFlag) throw new Error(`--${playerFlag} does not apply to adp`);
+  }
+  
+  const options = {};
+  if (values.player) options.names = values.player;
+  if (values.position) options.positions = parsePositions(values.position);
+  if (values.top !== undefined) options.limit = parseCount(values.top, '--top', 1);
+  if (values.seasons) options.seasons = parseSeasonRange(values.seasons);
+  if (values.output) options.outputPath = values.output;
+  if (values.concurrency !== undefined) options.batchSize = parseCount(values.concurrency, '--concurrency', 1);
+  if (values.delay !== undefined) options.batchDelay = parseCount(values.delay, '--delay');
+  if (values.resume) options.resume = true;
+  if (values.full) options.full = true;
+  if (values.force) options.force = true;
+  if (values.format) options.formats = parseFormats(values.format);
+  if (values.source) options.sources = parseSources(values.source, command);
+  if (values['no-cache']) options.cache = false;
+  
+  // Re-scraping a few players or seasons must not wipe everyone else from the output file
+  if (options.names || options.seasons) options.merge = true;
+  
+  return { command, weekly: Boolean(values.weekly), dryRun: Boolean(values['dry-run']), options };
+}
+
+function pluginFor({ command, weekly }) {
+  if (command === 'injuries') return injuryPlugin;
+  return weekly ? weeklyStatsPlugin : statsPlugin;
+}
+
+async function printPlan(plugin, options) {
+  const plan = await planScraper(plugin, options);
+  
+  console.log(`🧪 Dry run: ${plan.length} players, nothing will be fetched from ${plugin.name}`);
+  for (const { player, urls } of plan) {
+    console.log(`\n${player.name} (${player.position}, ${player.team}) [${player.player_id}]`);
+    urls.forEach(url => console.log(`  ${url}`));
+  }
+}
+
+async function runAdp(options, dryRun) {
+  if (dryRun) {
+    (options.formats || ADP_FORMATS).forEach(format => console.log(`🧪 Dry run: would fetch ${formatUrl(format)}`));
+    return;
+  }
+  
+  await updateAdpData(options);
+}
+
+function main(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseCommandLine(argv);
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+  
+  const { command, dryRun, options } = parsed;
+  
+  if (command === 'help') {
+    console.log(USAGE);
+    return;
+  }
+  
+  if (command !== 'adp' && !dryRun) {
+    // BATCH_SIZE is what the scheduled workflows set
+    const batchSize = options.batchSize || parseInt(process.env.BATCH_SIZE) || undefined;
+    runFromCommandLine(pluginFor(parsed), { ...options, batchSize }, []);
+    return;
+  }
+  
+  const task = command === 'adp' ? runAdp(options, dryRun) : printPlan(pluginFor(parsed), options);
+  task
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error(`💥 ${command} failed:`, error.message);
+      process.exit(1);
+    });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { USAGE, parseCommandLine, parseSeasonRange, parsePositions, parseFormats, parseSources, main };
@@ -0,0 +1,114 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { normalizePlayerName } = require('./lib');
+const { normalizeInjury } = require('./injury-metrics');
+
+// Split CSV text into rows of cells (handles quoted cells with commas, quotes and newlines)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+// CSV rows as objects keyed by lower-case header
+function readCsvRecords(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  
+  const keys = header.map(label => label.trim().toLowerCase());
+  return rows.map(cells => Object.fromEntries(keys.map((key, i) => [key, (cells[i] || '').trim()])));
+}
+
+// Rows for one player: name matched loosely, position only checked when the file has one
+function rowsForPlayer(rows, player) {
+  const name = normalizePlayerName(player.name);
+  return rows.filter(row =>
+    normalizePlayerName(row.player || row.name || '') === name &&
+    (!row.position || row.position.toUpperCase() === player.position)
+  );
+}
+
+// Source adapter over a local CSV file; the file is read once, on first use
+function createCsvSource(kind, filePath, toRecord) {
+  let rows = null;
+  
+  return {
+    name: `csv:${path.basename(filePath)}`,
+    kind,
+    async fetchPlayer(player) {
+      rows = rows || readCsvRecords(await fs.readFile(filePath, 'utf8'));
+      const playerRows = rowsForPlayer(rows, player);
+      return playerRows.length > 0 ? toRecord(playerRows) : null;
+    }
+  };
+}
+
+const IDENTITY_COLUMNS = new Set(['player', 'name', 'position', 'team', 'season']);
+
+// Season totals: one row per player and season, every other numeric column is a stat key (pass_yds, rec_td, ...)
+function createCsvStatsSource(filePath) {
+  return createCsvSource('stats', filePath, rows => {
+    const seasons = {};
+    
+    rows.forEach(row => {
+      const year = parseInt(row.season);
+      if (isNaN(year)) return;
+      
+      const season = { year };
+      for (const [key, value] of Object.entries(row)) {
+        const number = parseFloat(value.replace(/,/g, ''));
+        if (!IDENTITY_COLUMNS.has(key) && value !== '' && !isNaN(number)) season[key] = number;
+      }
+      seasons[year] = season;
+    });
+    
+    return Object.keys(seasons).length > 0 ? { seasons } : null;
+  });
+}
+
+// Injury reports: columns player, season, week, injury, status (same values as the Fox Sports table)
+function createCsvInjurySource(filePath) {
+  return createCsvSource('injuries', filePath, rows => ({
+    injuries: rows
+      .filter(row => /^\d{4}$/.test(row.season))
+      .map(row => normalizeInjury({ season: row.season, week: row.week, injury: row.injury, status: row.status }))
+  }));
+}
+
+module.exports = { parseCsv, readCsvRecords, createCsvStatsSource, createCsvInjurySource };
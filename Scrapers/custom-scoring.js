@@ -0,0 +1,82 @@
+const fs = require('fs').promises;
+const { readJsonFile, writeOutput } = require('./lib');
+const { EXAMPLE_RULES, normalizeRules, calculateSeasons, unavailableStats } = require('../docs/js/scoring');
+
+const STATS_PATH = 'Player-Context/Stats/player-stats.json';
+
+const USAGE = `Usage: node Scrapers/custom-scoring.js <rules.json> [output.json]
+
+Recomputes every player's fantasy points in ${STATS_PATH} with your league's rules.
+Rules start from a base format and override points per stat, optionally per position:
+
+${JSON.stringify(EXAMPLE_RULES, null, 2)}`;
+
+async function loadScoringRules(rulesPath) {
+  const rules = JSON.parse(await fs.readFile(rulesPath, 'utf8'));
+  return normalizeRules(rules);
+}
+
+// { player_id: { name, position, team, seasons: { year: points } } } for every player in a player-stats output
+function scorePlayers(statsOutput, rules) {
+  const players = {};
+  Object.entries(statsOutput.data || {}).forEach(([id, player]) => {
+    players[id] = {
+      player_id: player.player_id || id,
+      name: player.name,
+      position: player.position,
+      team: player.team,
+      seasons: calculateSeasons(player, rules)
+    };
+  });
+  return players;
+}
+
+async function writeCustomScoring(options = {}) {
+  const { rulesPath, statsPath = STATS_PATH, outputPath } = options;
+  const rules = await loadScoringRules(rulesPath);
+  const stats = await readJsonFile(statsPath);
+  if (!stats) throw new Error(`${statsPath} not found; run the stats scrape first`);
+  
+  const unavailable = unavailableStats(Object.values(stats.data).flatMap(player => Object.values(player.seasons || {})), rules);
+  if (unavailable.length > 0) {
+    console.warn(`⚠️  No player has ${unavailable.join(', ')} - those rules add nothing until a CSV source provides the column`);
+  }
+  
+  const result = {
+    rules,
+    generated_at: new Date().toISOString(),
+    unavailable_stats: unavailable,
+    players: scorePlayers(stats, rules)
+  };
+  
+  if (outputPath) {
+    await writeOutput(outputPath, result);
+  } else {
+    const latest = Object.values(result.players)
+      .map(player => ({ player, year: Math.max(...Object.keys(player.seasons).map(Number)) }))
+      .filter(({ year }) => Number.isFinite(year))
+      .sort((a, b) => b.player.seasons[b.year] - a.player.seasons[a.year]);
+    console.log(`🧮 ${rules.name}: top 20 by latest season`);
+    latest.slice(0, 20).forEach(({ player, year }, i) => console.log(`${String(i + 1).padStart(3)}. ${player.name} (${player.position}) ${player.seasons[year]} in ${year}`));
+  }
+  
+  return result;
+}
+
+// Run if called directly
+if (require.main === module) {
+  const [rulesPath, outputPath] = process.argv.slice(2);
+  if (!rulesPath || rulesPath === '--help' || rulesPath === '-h') {
+    console.log(USAGE);
+    process.exit(rulesPath ? 0 : 1);
+  }
+  
+  writeCustomScoring({ rulesPath, outputPath })
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('💥 Custom scoring failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { loadScoringRules, scorePlayers, writeCustomScoring };
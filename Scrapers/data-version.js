@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { readJsonFile } = require('./lib');
+const { ADP_FORMATS, DOCS_DATA_DIR } = require('./adp-scraper');
+
+// Written next to the site's data so the page can tell when what it has cached is out of date
+const VERSION_FILE = 'version.json';
+
+const hashOf = content => crypto.createHash('sha1').update(content).digest('hex').slice(0, 12);
+
+// { version, adp_version, updated_at, files: { name: hash } } for every JSON file in the directory. `version` changes
+// with any file and `adp_version` only with the consensus (ADP) files; `updated_at` moves only when `version` does
+async function buildDataVersion(dir = DOCS_DATA_DIR, now = new Date()) {
+  const names = (await fs.readdir(dir)).filter(name => name.endsWith('.json') && name !== VERSION_FILE).sort();
+  const files = {};
+  for (const name of names) {
+    files[name] = hashOf(await fs.readFile(path.join(dir, name)));
+  }
+  
+  const adpFiles = ADP_FORMATS.map(format => format.file).filter(name => files[name]);
+  const version = hashOf(names.map(name => `${name}:${files[name]}`).join('\n'));
+  const previous = await readJsonFile(path.join(dir, VERSION_FILE));
+  
+  return {
+    version,
+    adp_version: hashOf(adpFiles.map(name => `${name}:${files[name]}`).join('\n')),
+    updated_at: previous && previous.version === version ? previous.updated_at : now.toISOString(),
+    files
+  };
+}
+
+async function writeDataVersion(dir = DOCS_DATA_DIR) {
+  const data = await buildDataVersion(dir);
+  await fs.writeFile(path.join(dir, VERSION_FILE), JSON.stringify(data, null, 2) + '\n');
+  console.log(`🏷️  ${path.join(dir, VERSION_FILE)}: ${data.version} (ADP ${data.adp_version})`);
+  return data;
+}
+
+// Run if called directly
+if (require.main === module) {
+  writeDataVersion(process.argv[2])
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('💥 Data version failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { VERSION_FILE, buildDataVersion, writeDataVersion };
@@ -0,0 +1,194 @@
+const { getCurrentNFLSeason } = require('./lib');
+
+// Canonical body part -> region and the spellings Fox Sports uses for it
+const BODY_PARTS = {
+  concussion: { region: 'head', aliases: ['concussion'] },
+  head: { region: 'head', aliases: ['head', 'face', 'eye', 'jaw'] },
+  neck: { region: 'upper_body', aliases: ['neck', 'stinger'] },
+  shoulder: { region: 'upper_body', aliases: ['shoulder', 'ac joint', 'rotator cuff'] },
+  collarbone: { region: 'upper_body', aliases: ['collarbone', 'clavicle'] },
+  elbow: { region: 'upper_body', aliases: ['elbow'] },
+  arm: { region: 'upper_body', aliases: ['arm', 'forearm', 'bicep', 'biceps', 'tricep', 'triceps'] },
+  wrist: { region: 'upper_body', aliases: ['wrist'] },
+  hand: { region: 'upper_body', aliases: ['hand', 'thumb', 'finger', 'fingers'] },
+  chest: { region: 'core', aliases: ['chest', 'pectoral', 'pec'] },
+  ribs: { region: 'core', aliases: ['ribs', 'rib'] },
+  back: { region: 'core', aliases: ['back', 'lower back', 'spine'] },
+  abdomen: { region: 'core', aliases: ['abdomen', 'abdominal', 'oblique', 'core'] },
+  hip: { region: 'lower_body', aliases: ['hip', 'hip flexor', 'pelvis'] },
+  groin: { region: 'lower_body', aliases: ['groin', 'adductor'] },
+  hamstring: { region: 'lower_body', aliases: ['hamstring'] },
+  quadriceps: { region: 'lower_body', aliases: ['quad', 'quadricep', 'quadriceps', 'thigh'] },
+  knee: { region: 'lower_body', aliases: ['knee', 'acl', 'mcl', 'meniscus', 'patella'] },
+  calf: { region: 'lower_body', aliases: ['calf', 'shin', 'leg', 'fibula', 'tibia'] },
+  achilles: { region: 'lower_body', aliases: ['achilles'] },
+  ankle: { region: 'lower_body', aliases: ['ankle'] },
+  foot: { region: 'lower_body', aliases: ['foot', 'heel', 'toe', 'plantar fascia', 'turf toe'] }
+};
+
+// Report reasons that are not injuries; checked before the body-part lookup
+const NON_INJURY_PATTERNS = [
+  { category: 'rest', pattern: /\brest\b/ },
+  { category: 'personal', pattern: /\bpersonal\b/ },
+  { category: 'illness', pattern: /\b(illness|ill|covid|flu|sick)\b/ },
+  { category: 'non_injury', pattern: /\b(nir|non-injury|not injury related)\b/ }
+];
+
+// Status column -> severity level (higher means less likely to play)
+const STATUS_LEVELS = [
+  { level: 'ir', pattern: /\b(ir|injured reserve|pup|nfi)\b/ },
+  { level: 'out', pattern: /\bout\b/ },
+  { level: 'doubtful', pattern: /\bdoubtful\b/ },
+  { level: 'questionable', pattern: /\bquestionable\b/ }
+];
+
+// Playoff rounds come after week 18
+const PLAYOFF_WEEKS = { WC: 19, DC: 20, CC: 21, SB: 22 };
+
+const ALIAS_LOOKUP = Object.entries(BODY_PARTS)
+  .flatMap(([bodyPart, { aliases }]) => aliases.map(alias => ({ alias, bodyPart })))
+  .sort((a, b) => b.alias.length - a.alias.length);
+
+// Classify the free-text injury column: { category, body_part, side }
+function classifyInjury(description) {
+  const text = String(description || '').toLowerCase().trim();
+  
+  for (const { category, pattern } of NON_INJURY_PATTERNS) {
+    if (pattern.test(text)) return { category, body_part: null, side: null };
+  }
+  
+  const match = ALIAS_LOOKUP.find(({ alias }) => new RegExp(`\\b${alias}\\b`).test(text));
+  if (!match) return { category: 'unknown', body_part: null, side: null };
+  
+  const side = /\bleft\b/.test(text) ? 'left' : /\bright\b/.test(text) ? 'right' : null;
+  return { category: 'injury', body_part: match.bodyPart, side };
+}
+
+function statusLevel(status) {
+  const text = String(status || '').toLowerCase();
+  const match = STATUS_LEVELS.find(({ pattern }) => pattern.test(text));
+  return match ? match.level : 'none';
+}
+
+function parseWeek(week) {
+  const label = String(week).trim().toUpperCase();
+  if (PLAYOFF_WEEKS[label]) return { week: PLAYOFF_WEEKS[label], playoffs: true };
+  
+  const number = parseInt(label);
+  return { week: isNaN(number) ? null : number, playoffs: false };
+}
+
+// Normalize one raw injury report row ({ season, week, injury, status } as strings)
+function normalizeInjury(raw) {
+  return {
+    season: parseInt(raw.season),
+    ...parseWeek(raw.week),
+    injury: raw.injury,
+    ...classifyInjury(raw.injury),
+    status: raw.status,
+    status_level: statusLevel(raw.status)
+  };
+}
+
+// Reports that count against a player's health (rest days and personal absences do not)
+const isHealthReport = injury => injury.category === 'injury' || injury.category === 'illness';
+const missedGame = injury => injury.status_level === 'out' || injury.status_level === 'ir';
+
+// How much one report counts toward the risk score
+const STATUS_WEIGHTS = { none: 0, questionable: 0.25, doubtful: 0.5, out: 1, ir: 1.5 };
+
+// A report from N seasons ago counts RISK_DECAY^N as much as one from this season
+const RISK_DECAY = 0.5;
+
+// Weighted reports at which the risk score reaches ~63 of 100
+const RISK_SCALE = 4;
+
+// Weeks of the same body part this close together are one injury, not several
+const EPISODE_GAP_WEEKS = 2;
+
+// Per-season report counts and games missed
+function summarizeSeasons(injuries) {
+  const seasons = {};
+  
+  injuries.forEach(injury => {
+    const season = seasons[injury.season] = seasons[injury.season] || { reports: 0, injury_reports: 0, games_missed: 0 };
+    season.reports++;
+    if (isHealthReport(injury)) {
+      season.injury_reports++;
+      if (missedGame(injury)) season.games_missed++;
+    }
+  });
+  
+  return seasons;
+}
+
+// Injury episodes per body part (consecutive weeks of the same problem count once)
+function summarizeBodyParts(injuries) {
+  const weeksByPart = {};
+  
+  injuries.filter(injury => injury.category === 'injury').forEach(injury => {
+    (weeksByPart[injury.body_part] = weeksByPart[injury.body_part] || []).push(injury);
+  });
+  
+  const bodyParts = {};
+  for (const [bodyPart, reports] of Object.entries(weeksByPart)) {
+    const ordered = [...reports].sort((a, b) => (a.season - b.season) || (a.week - b.week));
+    let episodes = 0;
+    let last = null;
+    
+    ordered.forEach(report => {
+      if (!last || report.season !== last.season || report.week - last.week > EPISODE_GAP_WEEKS) episodes++;
+      last = report;
+    });
+    
+    bodyParts[bodyPart] = {
+      episodes,
+      region: BODY_PARTS[bodyPart].region,
+      seasons: [...new Set(ordered.map(report => report.season))]
+    };
+  }
+  
+  return bodyParts;
+}
+
+// 0-100 score from recency-weighted report severity; old seasons fade instead of piling up over a long career
+function injuryRiskScore(injuries, currentSeason = getCurrentNFLSeason()) {
+  const weighted = injuries.filter(isHealthReport).reduce((sum, injury) => {
+    const age = Math.max(0, currentSeason - injury.season);
+    return sum + STATUS_WEIGHTS[injury.status_level] * Math.pow(RISK_DECAY, age);
+  }, 0);
+  
+  return Math.round(100 * (1 - Math.exp(-weighted / RISK_SCALE)));
+}
+
+// Derived per-player metrics stored next to the normalized rows
+function summarizeInjuries(injuries, currentSeason = getCurrentNFLSeason()) {
+  const bodyParts = summarizeBodyParts(injuries);
+  
+  return {
+    seasons: summarizeSeasons(injuries),
+    body_parts: bodyParts,
+    recurring_body_parts: Object.keys(bodyParts).filter(bodyPart => bodyParts[bodyPart].episodes >= 2).sort(),
+    risk_score: injuryRiskScore(injuries, currentSeason)
+  };
+}
+
+// Any real injury or illness reported this season or last
+function hasRecentInjury(injuries, currentSeason = getCurrentNFLSeason()) {
+  return injuries.some(injury => isHealthReport(injury) && injury.season >= currentSeason - 1);
+}
+
+module.exports = {
+  BODY_PARTS,
+  PLAYOFF_WEEKS,
+  classifyInjury,
+  statusLevel,
+  parseWeek,
+  normalizeInjury,
+  isHealthReport,
+  summarizeSeasons,
+  summarizeBodyParts,
+  injuryRiskScore,
+  summarizeInjuries,
+  hasRecentInjury
+};
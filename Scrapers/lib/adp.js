@@ -0,0 +1,65 @@
+const axios = require('axios');
+const { withRetry } = require('./http');
+
+const ADP_API_URL = 'https://fantasyranker-adp-api.onrender.com/api/players';
+const SKILL_POSITIONS = ['QB', 'RB', 'WR', 'TE'];
+
+// Fetch the raw player list from one ADP endpoint, waiting out the free-tier API's hibernation (503s)
+async function fetchAdpPlayers(url = ADP_API_URL, options = {}) {
+  const { http = axios, attempts = 3, retryDelay = 30000 } = options;
+  
+  const apiResponse = await withRetry(async (attempt) => {
+    console.log(`🔄 Fetching ADP data from ${url}... (attempt ${attempt}/${attempts})`);
+    const response = await http.get(url, {
+      timeout: 60000 // 60 second timeout
+    });
+    
+    if (!response.data || !response.data.players || !Array.isArray(response.data.players)) {
+      throw new Error('ADP API returned unexpected data structure');
+    }
+    
+    return response.data;
+  }, {
+    attempts,
+    retryDelay,
+    backoff: 1,
+    shouldRetry: () => true,
+    onRetry: (error, attempt, delay) => {
+      if (error.response?.status === 503) {
+        console.log(`😴 ADP API hibernating (503), waiting ${delay/1000}s before retry...`);
+      } else {
+        console.log(`❌ ADP API error (attempt ${attempt}): ${error.message}`);
+        console.log(`⏱️  Retrying in ${delay/1000}s...`);
+      }
+    }
+  }).catch(error => {
+    console.error('❌ Failed to fetch ADP data after all retries:', error.message);
+    throw error;
+  });
+  
+  return apiResponse.players;
+}
+
+// Get top players from ADP API (with retry logic) - skill positions unless told otherwise
+async function getTop250Players(options = {}) {
+  const { limit = 250, positions = SKILL_POSITIONS } = options;
+  
+  const adpData = await fetchAdpPlayers(ADP_API_URL, options);
+  console.log(`📊 Found ${adpData.length} total players from ADP API`);
+  
+  // Filter to the requested positions and get the top N
+  const skillPlayers = adpData.filter(player => 
+    player && player.position && positions.includes(player.position)
+  ).slice(0, limit);
+  
+  console.log(`🎯 Filtered to ${skillPlayers.length} ${positions.join('/')} players`);
+  
+  return skillPlayers.map(player => ({
+    name: player.name,
+    position: player.position,
+    team: player.team,
+    adp: player.adp || player.overallRank
+  }));
+}
+
+module.exports = { ADP_API_URL, SKILL_POSITIONS, fetchAdpPlayers, getTop250Players };
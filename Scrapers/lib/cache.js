@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const CACHE_DIR = '.cache/scrapers';
+const DEFAULT_PAGE_TTL = 12 * 60 * 60 * 1000; // 12 hours
+
+async function readJsonFile(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function writeJsonFile(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(data));
+}
+
+// On-disk cache of fetched pages; 404s are cached too (as null) so dead URL variations are not retried
+function createPageCache(options = {}) {
+  const { dir = CACHE_DIR, ttl = () => DEFAULT_PAGE_TTL } = options;
+  
+  const fileFor = url => {
+    const hash = crypto.createHash('sha1').update(url).digest('hex');
+    return path.join(dir, 'pages', hash.slice(0, 2), `${hash}.json`);
+  };
+  
+  return {
+    // Resolves to the cached body, null for a cached 404, or undefined on a miss
+    async get(url) {
+      const entry = await readJsonFile(fileFor(url)).catch(() => null);
+      if (!entry || Date.now() - new Date(entry.fetched_at).getTime() > ttl(url)) {
+        return undefined;
+      }
+      return entry.body;
+    },
+    
+    async set(url, body) {
+      await writeJsonFile(fileFor(url), { url, fetched_at: new Date().toISOString(), body });
+    }
+  };
+}
+
+// Checkpoints hold the results of every finished batch so a crashed run can --resume
+function checkpointPath(dir, id) {
+  return path.join(dir, 'checkpoints', `${id}.json`);
+}
+
+function loadCheckpoint(id, dir = CACHE_DIR) {
+  return readJsonFile(checkpointPath(dir, id));
+}
+
+function saveCheckpoint(id, checkpoint, dir = CACHE_DIR) {
+  return writeJsonFile(checkpointPath(dir, id), { ...checkpoint, updated_at: new Date().toISOString() });
+}
+
+async function clearCheckpoint(id, dir = CACHE_DIR) {
+  await fs.rm(checkpointPath(dir, id), { force: true });
+}
+
+module.exports = {
+  CACHE_DIR,
+  DEFAULT_PAGE_TTL,
+  readJsonFile,
+  createPageCache,
+  loadCheckpoint,
+  saveCheckpoint,
+  clearCheckpoint
+};
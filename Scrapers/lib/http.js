@@ -0,0 +1,65 @@
+const axios = require('axios');
+
+const BROWSER_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Timeouts, connection errors, rate limits and 5xx responses are worth another try
+function isRetryableError(error) {
+  if (!error.response) return true;
+  const status = error.response.status;
+  return status === 429 || status >= 500;
+}
+
+// Run a request, retrying with exponential backoff
+async function withRetry(task, options = {}) {
+  const {
+    attempts = 3,
+    retryDelay = 1000,
+    backoff = 2,
+    shouldRetry = isRetryableError,
+    onRetry = null
+  } = options;
+  
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      return await task(attempt);
+    } catch (error) {
+      if (attempt >= attempts || !shouldRetry(error)) {
+        throw error;
+      }
+      
+      const delay = retryDelay * Math.pow(backoff, attempt - 1);
+      if (onRetry) onRetry(error, attempt, delay);
+      await sleep(delay);
+    }
+  }
+}
+
+// Fetch an HTML page - resolves to null when the page does not exist (404)
+async function fetchPage(url, options = {}) {
+  const { http = axios, timeout = 15000, attempts = 2, retryDelay = 1000 } = options;
+  
+  try {
+    const response = await withRetry(
+      () => http.get(url, { timeout, headers: BROWSER_HEADERS }),
+      {
+        attempts,
+        retryDelay,
+        onRetry: (error, attempt, delay) => {
+          console.log(`🔁 ${url}: ${error.message} (attempt ${attempt}/${attempts}), retrying in ${delay/1000}s...`);
+        }
+      }
+    );
+    return response.data;
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+module.exports = { BROWSER_HEADERS, sleep, isRetryableError, withRetry, fetchPage };
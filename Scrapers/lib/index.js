@@ -0,0 +1,13 @@
+// Shared scraper core - everything a data-source plugin needs besides its own URLs and parsers
+module.exports = {
+  ...require('./season'),
+  ...require('./slug'),
+  ...require('./http'),
+  ...require('./adp'),
+  ...require('./registry'),
+  ...require('./cache'),
+  ...require('./schema'),
+  ...require('./report'),
+  ...require('./sources'),
+  ...require('./runner')
+};
@@ -0,0 +1,150 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { generatePlayerSlug } = require('./slug');
+const { assertValid } = require('./schema');
+
+const REGISTRY_PATH = 'Player-Context/Players/player-registry.json';
+const NAME_SUFFIXES = ['jr', 'sr', 'ii', 'iii', 'iv', 'v'];
+
+// Normalize a name for matching: "Marvin Harrison Jr." and "marvin harrison" compare equal
+function normalizePlayerName(name) {
+  const parts = name
+    .toLowerCase()
+    .replace(/[.'’`]/g, '')
+    .replace(/[^a-z\s-]/g, ' ')
+    .replace(/-/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+  
+  while (parts.length > 1 && NAME_SUFFIXES.includes(parts[parts.length - 1])) {
+    parts.pop();
+  }
+  
+  return parts.join(' ');
+}
+
+function createEmptyRegistry() {
+  return { version: 1, updated_at: null, players: {} };
+}
+
+// Load the registry file (an empty registry if it does not exist yet)
+async function loadRegistry(filePath = REGISTRY_PATH) {
+  try {
+    const registry = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    registry.players = registry.players || {};
+    return registry;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return createEmptyRegistry();
+    }
+    throw error;
+  }
+}
+
+async function saveRegistry(registry, filePath = REGISTRY_PATH) {
+  registry.updated_at = new Date().toISOString();
+  
+  // Keep the file sorted by id so diffs stay small
+  const players = {};
+  Object.keys(registry.players).sort().forEach(id => {
+    players[id] = registry.players[id];
+  });
+  registry.players = players;
+  assertValid('player-registry', registry);
+  
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(registry, null, 2));
+  console.log(`🪪 Player registry saved to ${filePath} (${Object.keys(players).length} players)`);
+}
+
+// Registry entries whose name or aliases match the given name
+function findCandidates(registry, name) {
+  const normalized = normalizePlayerName(name);
+  return Object.values(registry.players).filter(entry =>
+    [entry.name, ...entry.aliases].some(alias => normalizePlayerName(alias) === normalized)
+  );
+}
+
+// Find a player's entry; position and then team break ties between shared names
+function findPlayer(registry, { name, position, team }) {
+  let candidates = findCandidates(registry, name);
+  
+  if (candidates.length > 1 || (candidates.length === 1 && position && candidates[0].position !== position)) {
+    candidates = candidates.filter(entry => !position || entry.position === position);
+  }
+  if (candidates.length > 1 && team) {
+    const sameTeam = candidates.filter(entry => entry.team === team);
+    if (sameTeam.length > 0) candidates = sameTeam;
+  }
+  
+  return candidates[0] || null;
+}
+
+// Generate a new id from name + position, e.g. "josh-allen-qb"
+function generatePlayerId(registry, name, position) {
+  const baseId = `${generatePlayerSlug(normalizePlayerName(name))}-${(position || 'na').toLowerCase()}`;
+  let id = baseId;
+  for (let n = 2; registry.players[id]; n++) {
+    id = `${baseId}-${n}`;
+  }
+  return id;
+}
+
+// Find a player, registering them if they are new; keeps team and aliases current
+function resolvePlayer(registry, player) {
+  let entry = findPlayer(registry, player);
+  
+  const today = new Date().toISOString().slice(0, 10);
+  
+  if (!entry) {
+    const id = generatePlayerId(registry, player.name, player.position);
+    entry = {
+      id,
+      name: player.name,
+      position: player.position,
+      team: player.team,
+      aliases: [],
+      teams: player.team ? [player.team] : [],
+      team_history: player.team ? [{ team: player.team, since: today }] : [],
+      fantasypros_slug: null,
+      foxsports_slug: null,
+      first_seen: today
+    };
+    registry.players[id] = entry;
+    console.log(`🆔 Registered ${player.name} (${player.position}) as ${id}`);
+    return entry;
+  }
+  
+  if (player.name !== entry.name && !entry.aliases.includes(player.name)) {
+    entry.aliases.push(player.name);
+  }
+  if (player.team && player.team !== entry.team) {
+    console.log(`🔁 ${entry.name}: team changed ${entry.team} → ${player.team}`);
+    // Entries registered before the history was kept start it with the team they were first seen on
+    entry.team_history = entry.team_history || (entry.team ? [{ team: entry.team, since: entry.first_seen || null }] : []);
+    entry.team_history.push({ team: player.team, since: today });
+    entry.team = player.team;
+    if (!entry.teams.includes(player.team)) entry.teams.push(player.team);
+  }
+  
+  return entry;
+}
+
+// Remember which slug worked on a source site so later runs try it first
+function recordSourceSlug(registry, playerId, source, slug) {
+  const entry = registry.players[playerId];
+  if (entry && slug) {
+    entry[`${source}_slug`] = slug;
+  }
+}
+
+module.exports = {
+  REGISTRY_PATH,
+  normalizePlayerName,
+  createEmptyRegistry,
+  loadRegistry,
+  saveRegistry,
+  findPlayer,
+  resolvePlayer,
+  recordSourceSlug
+};
@@ -0,0 +1,111 @@
+const fs = require('fs').promises;
+const { normalizePlayerName } = require('./registry');
+
+// ADP change (in picks) worth calling out - one round of a 12-team league
+const ADP_MOVE_THRESHOLD = 12;
+
+// A new file with less than this share of the old one's players is treated as a broken run
+const DEGRADED_RATIO = 0.8;
+
+// Players keyed the same way for both output shapes: { data: { id: record } } and consensus arrays
+function playersByKey(file) {
+  if (Array.isArray(file)) {
+    return new Map(file.map(player => [`${normalizePlayerName(player.name)}|${player.position}`, player]));
+  }
+  return new Map(Object.entries((file && file.data) || {}));
+}
+
+const injuryKey = injury => [injury.season, injury.week, injury.injury, injury.status].join('|');
+
+// What changed between two versions of a data file
+function diffData(previous, next) {
+  const before = playersByKey(previous);
+  const after = playersByKey(next);
+  const report = { added: [], dropped: [], adp_moves: [], new_injuries: [] };
+  
+  for (const [key, player] of after) {
+    const old = before.get(key);
+    if (!old) {
+      report.added.push(player.name);
+      continue;
+    }
+    
+    if (typeof old.adp === 'number' && typeof player.adp === 'number' &&
+        Math.abs(player.adp - old.adp) >= ADP_MOVE_THRESHOLD) {
+      report.adp_moves.push({ name: player.name, from: old.adp, to: player.adp, change: Math.round((player.adp - old.adp) * 10) / 10 });
+    }
+    
+    if (Array.isArray(player.injuries)) {
+      const known = new Set((old.injuries || []).map(injuryKey));
+      const fresh = player.injuries.filter(injury => !known.has(injuryKey(injury)));
+      if (fresh.length > 0) report.new_injuries.push({ name: player.name, injuries: fresh });
+    }
+  }
+  
+  for (const [key, player] of before) {
+    if (!after.has(key)) report.dropped.push(player.name);
+  }
+  
+  report.adp_moves.sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+  return report;
+}
+
+// Reason the new file looks like a broken run compared to the old one (null if it looks fine)
+function findDegradation(previous, next) {
+  const shrunk = (now, was) => was > 0 && now < was * DEGRADED_RATIO;
+  
+  if (Array.isArray(previous) || Array.isArray(next)) {
+    const was = Array.isArray(previous) ? previous.length : 0;
+    const now = Array.isArray(next) ? next.length : 0;
+    return shrunk(now, was) ? `only ${now} players, previously ${was}` : null;
+  }
+  
+  if (shrunk(next.total_players, previous.total_players)) {
+    return `only ${next.total_players} players, previously ${previous.total_players}`;
+  }
+  
+  const was = previous.stats ? previous.stats.successful : 0;
+  const now = next.stats ? next.stats.successful : 0;
+  if (shrunk(now, was)) {
+    return `only ${now} players parsed successfully, previously ${was}`;
+  }
+  
+  return null;
+}
+
+// Markdown summary of a diff, also used as the GitHub Actions step summary
+function formatDiffReport(report, title) {
+  const lines = [`### ${title}`];
+  const list = (label, items) => {
+    lines.push(`**${label}:**${items.length === 0 ? ' none' : ''}`);
+    items.slice(0, 25).forEach(item => lines.push(`- ${item}`));
+    if (items.length > 25) lines.push(`- ...and ${items.length - 25} more`);
+  };
+  
+  list('Players added', report.added);
+  list('Players dropped', report.dropped);
+  list(`ADP moves of ${ADP_MOVE_THRESHOLD}+ picks`, report.adp_moves.map(move =>
+    `${move.name}: ${move.from} → ${move.to} (${move.change > 0 ? '+' : ''}${move.change})`));
+  list('New injuries', report.new_injuries.map(({ name, injuries }) =>
+    `${name}: ${injuries.map(injury => `${injury.season} wk ${injury.week} ${injury.injury} (${injury.status})`).join(', ')}`));
+  
+  return lines.join('\n');
+}
+
+async function publishDiffReport(report, title) {
+  const text = formatDiffReport(report, title);
+  console.log(`\n${text}\n`);
+  
+  if (process.env.GITHUB_STEP_SUMMARY) {
+    await fs.appendFile(process.env.GITHUB_STEP_SUMMARY, `${text}\n\n`);
+  }
+}
+
+module.exports = {
+  ADP_MOVE_THRESHOLD,
+  DEGRADED_RATIO,
+  diffData,
+  findDegradation,
+  formatDiffReport,
+  publishDiffReport
+};
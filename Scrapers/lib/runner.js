@@ -0,0 +1,322 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const fs = require('fs').promises;
+const path = require('path');
+const { getCurrentNFLSeason } = require('./season');
+const { generatePlayerKey } = require('./slug');
+const { sleep, fetchPage } = require('./http');
+const { getTop250Players } = require('./adp');
+const { normalizePlayerName, createEmptyRegistry, loadRegistry, saveRegistry, resolvePlayer, recordSourceSlug } = require('./registry');
+const { assertValid } = require('./schema');
+const { diffData, findDegradation, publishDiffReport } = require('./report');
+const { CACHE_DIR, readJsonFile, createPageCache, loadCheckpoint, saveCheckpoint, clearCheckpoint } = require('./cache');
+
+// Build the helpers handed to a plugin while it scrapes one player
+function createContext(players, options) {
+  const http = options.http || axios;
+  const wait = options.sleep || sleep;
+  const attemptDelay = options.attemptDelay ?? 300;
+  const registry = options.registry || createEmptyRegistry();
+  const pageCache = options.pageCache || null;
+  const previous = options.previous || {};
+  
+  // Fetch through the page cache when there is one (404s are cached as null)
+  const fetchCached = async url => {
+    const cached = pageCache ? await pageCache.get(url) : undefined;
+    if (cached !== undefined) return cached;
+    
+    const html = await fetchPage(url, { http });
+    if (pageCache) await pageCache.set(url, html);
+    return html;
+  };
+  
+  return {
+    players,
+    http,
+    registry,
+    sleep: wait,
+    currentSeason: getCurrentNFLSeason(),
+    seasons: options.seasons || null,
+    sources: options.sources || null,
+    fetchPage: fetchCached,
+    
+    // This player's record from the last completed run's output (or null)
+    previousEntry(player) {
+      return previous[player.player_id] || null;
+    },
+    
+    // Slug that worked for this player on a source site last time (or null)
+    knownSlug(player, source) {
+      const entry = registry.players[player.player_id];
+      return entry ? entry[`${source}_slug`] : null;
+    },
+    
+    recordSlug(player, source, slug) {
+      recordSourceSlug(registry, player.player_id, source, slug);
+    },
+    
+    // Try each candidate URL in order until parse() returns something
+    async fetchFirst(candidates, parse) {
+      for (const candidate of candidates) {
+        try {
+          if (candidate.label) console.log(`📊 Trying ${candidate.label}`);
+          const html = await fetchCached(candidate.url);
+          if (html === null) continue;
+          
+          const result = parse(cheerio.load(html), candidate);
+          if (result) {
+            return { result, candidate };
+          }
+        } catch (error) {
+          console.error(`❌ Error with ${candidate.label || candidate.url}:`, error.message);
+        }
+        
+        await wait(attemptDelay);
+      }
+      
+      return null;
+    }
+  };
+}
+
+// Write the final output file, creating its directory first
+async function writeOutput(outputPath, data) {
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  await fs.writeFile(outputPath, JSON.stringify(data, null, 2));
+  console.log(`📁 Data saved to ${outputPath}`);
+}
+
+// Validate against the schema, report what changed, and refuse to replace good data with a broken run
+async function writeCheckedOutput(outputPath, data, options = {}) {
+  const { schema, force = false, partial = false } = options;
+  if (schema) assertValid(schema, data);
+  
+  const previous = await readJsonFile(outputPath).catch(() => null);
+  if (previous) {
+    await publishDiffReport(diffData(previous, data), `Changes to ${outputPath}`);
+    
+    const degraded = partial ? null : findDegradation(previous, data);
+    if (degraded && !force) {
+      throw new Error(`Refusing to overwrite ${outputPath}: ${degraded} (use --force to write anyway)`);
+    }
+  }
+  
+  await writeOutput(outputPath, data);
+}
+
+// Per-player data from an earlier output file, used to skip work that cannot have changed
+async function loadPreviousData(outputPath) {
+  const output = await readJsonFile(outputPath).catch(() => null);
+  return (output && output.data) || {};
+}
+
+// Keep only the named players (matched loosely, so "Marvin Harrison Jr" finds "Marvin Harrison")
+function filterPlayersByName(players, names) {
+  const wanted = new Map(names.map(name => [normalizePlayerName(name), name]));
+  const selected = players.filter(player => wanted.has(normalizePlayerName(player.name)));
+  const found = new Set(selected.map(player => normalizePlayerName(player.name)));
+  
+  for (const [normalized, name] of wanted) {
+    if (!found.has(normalized)) console.log(`⚠️  ${name} is not in the ADP list - skipping`);
+  }
+  
+  return selected;
+}
+
+// The players a run covers: ADP list (or options.players), cut to the requested subset, with registry ids
+async function loadPlayers(registry, options = {}) {
+  const limit = options.limit ?? (options.names ? Infinity : undefined);
+  let players = options.players || await getTop250Players({ http: options.http, positions: options.positions, limit });
+  
+  if (options.names) {
+    players = filterPlayersByName(players, options.names);
+  }
+  
+  return players.map(player => ({ ...player, player_id: resolvePlayer(registry, player).id }));
+}
+
+// List the URLs a run would try for each player, without fetching any player pages
+async function planScraper(plugin, options = {}) {
+  const registry = options.registry || await loadRegistry(options.registryPath);
+  const players = await loadPlayers(registry, options);
+  const ctx = createContext(players, { ...options, registry });
+  
+  return players.map(player => ({ player, urls: plugin.plannedUrls(player, ctx).map(candidate => candidate.url) }));
+}
+
+// The options that change what a run produces (--player, --position, --top, --seasons, --source, ...); a checkpoint
+// only resumes a run that asked for the same. --weekly is a plugin of its own, with its own checkpoint
+function runSelection(options) {
+  return {
+    names: options.names || null,
+    positions: options.positions || null,
+    limit: options.limit ?? null,
+    seasons: options.seasons || null,
+    sources: options.sources ? options.sources.map(source => source.name) : null,
+    full: Boolean(options.full),
+    merge: Boolean(options.merge),
+    outputPath: options.outputPath || null
+  };
+}
+
+// Run a scraper plugin over the ADP player list in rate-limited batches
+async function runScraper(plugin, options = {}) {
+  try {
+    console.log(`🚀 Starting ${plugin.name} scraping...`);
+    console.log(`📅 Current NFL season: ${getCurrentNFLSeason()}`);
+    
+    const persist = options.write !== false;
+    const cacheDir = options.cacheDir || CACHE_DIR;
+    const checkpointId = plugin.id || generatePlayerKey(plugin.name);
+    const registry = options.registry || await loadRegistry(options.registryPath);
+    const players = await loadPlayers(registry, options);
+    const batchSize = options.batchSize || plugin.batchSize || 5;
+    const batchDelay = options.batchDelay ?? 2000;
+    const outputPath = options.outputPath || plugin.outputPath;
+    const useCache = options.cache ?? persist;
+    const pageCache = useCache ? createPageCache({ dir: cacheDir, ttl: plugin.cacheTtl }) : null;
+    const previous = options.previous || (persist && !options.full ? await loadPreviousData(outputPath) : {});
+    const ctx = createContext(players, { ...options, registry, pageCache, previous });
+    
+    // Partial runs (one player, a season range) are folded into the existing output instead of replacing it
+    const base = options.merge ? await loadPreviousData(outputPath) : {};
+    const results = { ...base };
+    const stats = { successful: 0, failed: 0, wrong_player: 0 };
+    const done = new Set();
+    const selection = runSelection(options);
+    
+    if (options.resume) {
+      const checkpoint = await loadCheckpoint(checkpointId, cacheDir);
+      if (checkpoint) {
+        const differing = Object.keys(selection)
+          .filter(key => JSON.stringify((checkpoint.selection || {})[key] ?? null) !== JSON.stringify(selection[key]));
+        if (differing.length > 0) {
+          throw new Error(`The ${plugin.name} checkpoint is from a run with different options (${differing.join(', ')}); run without --resume to start over`);
+        }
+        
+        Object.assign(results, checkpoint.results);
+        Object.assign(stats, checkpoint.stats);
+        checkpoint.done.forEach(id => done.add(id));
+        console.log(`🔄 Resuming from checkpoint: ${done.size} players already processed`);
+      } else {
+        console.log(`🔄 No checkpoint found for ${plugin.name}, starting from the beginning`);
+      }
+    }
+    
+    const pending = players.filter(player => !done.has(player.player_id));
+    
+    console.log(`🎯 Processing ${pending.length} players in batches of ${batchSize}...`);
+    
+    for (let i = 0; i < pending.length; i += batchSize) {
+      const batch = pending.slice(i, i + batchSize);
+      const batchNum = Math.floor(i / batchSize) + 1;
+      const totalBatches = Math.ceil(pending.length / batchSize);
+      
+      console.log(`\n📦 Batch ${batchNum}/${totalBatches}: ${batch.map((p, j) => `${p.name} (#${i + j + 1})`).join(', ')}`);
+      
+      const batchPromises = batch.map(async (player, j) => {
+        const rank = i + j + 1;
+        try {
+          const playerData = await plugin.scrapePlayer(player, ctx);
+          
+          if (playerData) {
+            stats.successful++;
+            console.log(`✅ #${rank}: ${player.name} - ${plugin.describe(playerData)}`);
+            return playerData;
+          } else {
+            stats.wrong_player++;
+            console.log(`❌ #${rank}: ${player.name} - no valid data`);
+            return null;
+          }
+        
+        } catch (error) {
+          console.error(`💥 #${rank}: ${player.name} - Error: ${error.message}`);
+          stats.failed++;
+          return null;
+        }
+      });
+      
+      const batchResults = await Promise.all(batchPromises);
+      
+      // Store successful results
+      batchResults.forEach(result => {
+        if (result) {
+          const key = result.player_id || generatePlayerKey(result.name);
+          results[key] = base[key] && plugin.mergeRecord ? plugin.mergeRecord(base[key], result) : result;
+        }
+      });
+      
+      console.log(`📊 Batch ${batchNum} complete. Running total: ${stats.successful} successful, ${stats.failed} failed, ${stats.wrong_player} invalid`);
+      
+      // Checkpoint so a crash only loses the batch in flight
+      batch.forEach(player => done.add(player.player_id));
+      if (persist) {
+        await saveCheckpoint(checkpointId, { selection, results, stats, done: [...done] }, cacheDir);
+      }
+      
+      // Delay between batches (except for last batch)
+      if (i + batchSize < pending.length) {
+        console.log(`⏱️  Waiting ${batchDelay/1000} seconds before next batch...`);
+        await ctx.sleep(batchDelay);
+      }
+    }
+    
+    console.log(`\n🎉 ${plugin.name} scraping complete!`);
+    console.log(`✅ Successful: ${stats.successful}`);
+    console.log(`❌ Failed: ${stats.failed}`);
+    console.log(`🚫 Wrong player: ${stats.wrong_player}`);
+    
+    const finalData = {
+      success: true,
+      timestamp: new Date().toISOString(),
+      current_nfl_season: getCurrentNFLSeason(),
+      stats: stats,
+      total_players: Object.keys(results).length,
+      ...(plugin.summarize ? plugin.summarize(results) : {}),
+      data: results
+    };
+    
+    if (persist) {
+      await writeCheckedOutput(outputPath, finalData, { schema: plugin.schema, force: options.force, partial: options.merge });
+      await saveRegistry(registry, options.registryPath);
+      await clearCheckpoint(checkpointId, cacheDir);
+    }
+    
+    return finalData;
+  
+  } catch (error) {
+    console.error(`❌ Main ${plugin.name} scraping error:`, error);
+    throw error;
+  }
+}
+
+// Shared entry point for `node Scrapers/<name>.js [--resume] [--full] [--no-cache]`
+function runFromCommandLine(plugin, options = {}, argv = process.argv.slice(2)) {
+  const flags = {
+    resume: argv.includes('--resume'),
+    full: argv.includes('--full'),
+    ...(argv.includes('--no-cache') ? { cache: false } : {})
+  };
+  
+  runScraper(plugin, { ...flags, ...options })
+    .then(() => {
+      console.log(`🎯 ${plugin.name} scraping completed successfully!`);
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error(`💥 ${plugin.name} scraping failed:`, error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  createContext,
+  writeOutput,
+  writeCheckedOutput,
+  loadPreviousData,
+  filterPlayersByName,
+  loadPlayers,
+  planScraper,
+  runScraper,
+  runFromCommandLine
+};
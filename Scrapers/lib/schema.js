@@ -0,0 +1,94 @@
+const path = require('path');
+
+const SCHEMA_DIR = path.join(__dirname, '..', 'schemas');
+
+// JSON type name, telling integers, arrays and null apart from plain numbers and objects
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function resolveRef(root, ref) {
+  const target = ref.replace(/^#\//, '').split('/').reduce((node, key) => node && node[key], root);
+  if (!target) throw new Error(`Unknown schema reference ${ref}`);
+  return target;
+}
+
+// Validate against the subset of JSON Schema our files use:
+// type, enum, required, properties, additionalProperties, items, minimum, minItems, minLength, pattern, $ref
+function validateSchema(schema, value, root = schema, at = '$', errors = []) {
+  if (schema.$ref) {
+    return validateSchema(resolveRef(root, schema.$ref), value, root, at, errors);
+  }
+  
+  const actual = typeOf(value);
+  if (schema.type) {
+    const allowed = [].concat(schema.type);
+    if (!allowed.some(type => type === actual || (type === 'number' && actual === 'integer'))) {
+      errors.push(`${at}: expected ${allowed.join(' or ')}, got ${actual}`);
+      return errors;
+    }
+  }
+  
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: ${JSON.stringify(value)} is not one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+  }
+  
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${at}: ${value} is below the minimum of ${schema.minimum}`);
+  }
+  
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${at}: string is shorter than ${schema.minLength}`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${at}: ${JSON.stringify(value)} does not match ${schema.pattern}`);
+    }
+  }
+  
+  if (actual === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${at}: expected at least ${schema.minItems} items, got ${value.length}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateSchema(schema.items, item, root, `${at}[${index}]`, errors));
+    }
+  } else if (actual === 'object') {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) errors.push(`${at}: missing required property "${key}"`);
+    });
+    
+    for (const [key, child] of Object.entries(value)) {
+      const childAt = `${at}.${key}`;
+      if (schema.properties && key in schema.properties) {
+        validateSchema(schema.properties[key], child, root, childAt, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}: unexpected property "${key}"`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateSchema(schema.additionalProperties, child, root, childAt, errors);
+      }
+    }
+  }
+  
+  return errors;
+}
+
+// Schema from Scrapers/schemas/<name>.schema.json
+function loadSchema(name) {
+  return require(path.join(SCHEMA_DIR, `${name}.schema.json`));
+}
+
+// Throw a readable error (first few problems) when data does not match the named schema
+function assertValid(name, data) {
+  const errors = validateSchema(loadSchema(name), data);
+  if (errors.length === 0) return;
+  
+  const shown = errors.slice(0, 10).map(error => `  ${error}`).join('\n');
+  const more = errors.length > 10 ? `\n  ...and ${errors.length - 10} more` : '';
+  throw new Error(`Data does not match the ${name} schema:\n${shown}${more}`);
+}
+
+module.exports = { SCHEMA_DIR, validateSchema, loadSchema, assertValid };
@@ -0,0 +1,19 @@
+// Get current NFL season dynamically
+function getCurrentNFLSeason(now = new Date()) {
+  const currentYear = now.getFullYear();
+  const month = now.getMonth() + 1;
+  
+  // NFL season runs Sept-Feb
+  return month >= 8 ? currentYear : currentYear - 1;
+}
+
+function getValidationYears(now = new Date()) {
+  const currentSeason = getCurrentNFLSeason(now);
+  return {
+    lastYear: currentSeason,
+    yearBeforeLast: currentSeason - 1,
+    currentSeason: currentSeason
+  };
+}
+
+module.exports = { getCurrentNFLSeason, getValidationYears };
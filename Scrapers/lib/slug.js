@@ -0,0 +1,16 @@
+// Generate clean URL slug from player name
+function generatePlayerSlug(playerName) {
+  return playerName
+    .toLowerCase()
+    .replace(/[.']/g, '')
+    .replace(/[^a-z\s]/g, '')
+    .replace(/\s+/g, '-')
+    .trim();
+}
+
+// Key used for each player in the scraper output files
+function generatePlayerKey(playerName) {
+  return playerName.toLowerCase().replace(/[^a-z]/g, '_');
+}
+
+module.exports = { generatePlayerSlug, generatePlayerKey };
@@ -0,0 +1,49 @@
+// Source adapters let more than one provider feed the same output file.
+// An adapter is { name, kind: 'stats' | 'injuries', fetchPlayer(player, ctx) } where fetchPlayer
+// resolves to a record in the output's normalized shape ({ seasons } or { injuries }) or null.
+
+// Ask every source for the player (in priority order) and merge what comes back
+async function collectFromSources(sources, player, ctx, merge) {
+  const pieces = [];
+  const errors = [];
+  
+  for (const source of sources) {
+    try {
+      const record = await source.fetchPlayer(player, ctx);
+      if (record) pieces.push({ source: source.name, record });
+    } catch (error) {
+      console.error(`❌ ${source.name} failed for ${player.name}: ${error.message}`);
+      errors.push(error);
+    }
+  }
+  
+  if (pieces.length === 0) {
+    // Every source blew up rather than finding nothing - let the runner count it as a failure
+    if (errors.length === sources.length && errors.length > 0) throw errors[0];
+    return null;
+  }
+  
+  return merge(player, pieces);
+}
+
+// Fold one source's values into a merged object. Empty slots are filled and credited to that
+// source in value_sources; disagreements keep the earlier (higher priority) value and are listed in conflicts.
+function mergeValues(target, values, source, skipKeys = new Set()) {
+  for (const [key, value] of Object.entries(values)) {
+    if (skipKeys.has(key) || value === null || value === undefined) continue;
+    
+    const current = target[key];
+    if (current === null || current === undefined) {
+      target[key] = value;
+      target.value_sources = { ...target.value_sources, [key]: source };
+    } else if (JSON.stringify(current) !== JSON.stringify(value)) {
+      const keptFrom = (target.value_sources && target.value_sources[key]) || target.source;
+      const conflicts = (target.conflicts || []).filter(conflict => conflict.key !== key);
+      target.conflicts = [...conflicts, { key, kept: keptFrom, values: { [keptFrom]: current, [source]: value } }];
+    }
+  }
+  
+  return target;
+}
+
+module.exports = { collectFromSources, mergeValues };
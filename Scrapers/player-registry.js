@@ -0,0 +1,65 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { loadRegistry, saveRegistry, findPlayer, resolvePlayer, recordSourceSlug, readJsonFile, writeCheckedOutput } = require('./lib');
+
+const CONSENSUS_DIR = 'Player-Context/Expert-Consensus';
+const STATS_PATH = 'Player-Context/Stats/player-stats.json';
+const INJURY_PATH = 'Player-Context/Injury/injury-history.json';
+
+// Most recent season's slug from a stats entry
+function latestStatsSlug(entry) {
+  const years = Object.keys(entry.seasons || {}).sort();
+  const latest = years.length > 0 ? entry.seasons[years[years.length - 1]] : null;
+  return latest ? latest.urlUsed : null;
+}
+
+// Re-key a scraper output file by registry id and stamp player_id on each entry
+async function rekeyOutput(filePath, schema, registry, source, getSlug) {
+  const output = await readJsonFile(filePath);
+  if (!output || !output.data) return;
+  
+  const data = {};
+  Object.values(output.data).forEach(entry => {
+    // Older output can carry a stale team, so only register players we have never seen
+    const registryEntry = findPlayer(registry, entry) || resolvePlayer(registry, entry);
+    recordSourceSlug(registry, registryEntry.id, source, getSlug(entry));
+    data[registryEntry.id] = { player_id: registryEntry.id, ...entry };
+  });
+  
+  output.data = data;
+  await writeCheckedOutput(filePath, output, { schema });
+}
+
+// Register every player in the consensus files and link the existing scraper output to them
+async function syncPlayerRegistry(options = {}) {
+  const registryPath = options.registryPath;
+  const registry = await loadRegistry(registryPath);
+  const before = Object.keys(registry.players).length;
+  
+  const files = (await fs.readdir(CONSENSUS_DIR)).filter(file => file.endsWith('.json'));
+  for (const file of files) {
+    const data = await readJsonFile(path.join(CONSENSUS_DIR, file));
+    const players = Array.isArray(data) ? data : (data && data.players) || [];
+    players.forEach(player => resolvePlayer(registry, player));
+    console.log(`📋 ${file}: ${players.length} players checked`);
+  }
+  
+  await rekeyOutput(STATS_PATH, 'player-stats', registry, 'fantasypros', latestStatsSlug);
+  await rekeyOutput(INJURY_PATH, 'injury-history', registry, 'foxsports', entry => entry.url_used);
+  
+  console.log(`🆕 ${Object.keys(registry.players).length - before} new players registered`);
+  await saveRegistry(registry, registryPath);
+  return registry;
+}
+
+// Run if called directly
+if (require.main === module) {
+  syncPlayerRegistry()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('💥 Registry sync failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { syncPlayerRegistry };
@@ -0,0 +1,226 @@
+const path = require('path');
+const { getCurrentNFLSeason, loadRegistry, findPlayer, readJsonFile, assertValid, writeOutput, writeCheckedOutput } = require('./lib');
+const { ADP_FORMATS, CONSENSUS_DIR, DOCS_DATA_DIR } = require('./adp-scraper');
+
+const STATS_PATH = 'Player-Context/Stats/player-stats.json';
+const INJURY_PATH = 'Player-Context/Injury/injury-history.json';
+
+// The factor breakdown behind each suggestion, kept out of the consensus files so boards built from them stay small
+const RISK_FACTORS_PATH = 'Player-Context/Risk/risk-factors.json';
+const RISK_FACTORS_FILE = 'risk-factors.json';
+
+// How much each factor counts; factors without data are left out and the rest re-weighted
+const RISK_FACTORS = [
+  { factor: 'injury', weight: 0.4 },
+  { factor: 'volatility', weight: 0.25 },
+  { factor: 'experience', weight: 0.2 },
+  { factor: 'team_change', weight: 0.15 }
+];
+
+// Lowest score for each tier, checked in order (puts roughly the riskiest fifth of the top 200 in High)
+const RISK_TIERS = [
+  { tier: 'High', min: 35 },
+  { tier: 'Medium', min: 20 },
+  { tier: 'Low', min: 0 }
+];
+
+// Seasons of fantasy points used for volatility, and the spread (stdev / mean) that scores 100
+const VOLATILITY_SEASONS = 4;
+const VOLATILITY_FULL_SCALE = 0.6;
+
+// Experience score by completed NFL seasons; three or more scores 0
+const EXPERIENCE_SCORES = [100, 60, 30];
+
+const factor = (score, detail) => ({ score, detail });
+
+// Recency-weighted injury score already computed by injury-metrics
+function injuryFactor(injuryRecord, currentSeason) {
+  if (!injuryRecord || !injuryRecord.injury_summary) return factor(null, 'No injury history scraped');
+  
+  const { seasons, recurring_body_parts: recurring, risk_score: score } = injuryRecord.injury_summary;
+  const gamesMissed = Object.entries(seasons)
+    .filter(([season]) => Number(season) >= currentSeason - 2)
+    .reduce((sum, [, season]) => sum + season.games_missed, 0);
+  
+  const parts = [`${gamesMissed} games missed in the last 3 seasons`];
+  if (recurring.length > 0) parts.push(`recurring: ${recurring.join(', ')}`);
+  return factor(score, parts.join('; '));
+}
+
+// Season-to-season spread of fantasy points
+function volatilityFactor(statsRecord) {
+  const points = Object.values((statsRecord && statsRecord.seasons) || {})
+    .filter(season => typeof season.fantasy_points === 'number')
+    .sort((a, b) => b.year - a.year)
+    .slice(0, VOLATILITY_SEASONS)
+    .map(season => season.fantasy_points);
+  
+  if (points.length < 2) return factor(null, 'Fewer than 2 seasons of fantasy points');
+  
+  const mean = points.reduce((sum, value) => sum + value, 0) / points.length;
+  if (mean <= 0) return factor(100, 'No fantasy production');
+  
+  const deviation = Math.sqrt(points.reduce((sum, value) => sum + (value - mean) ** 2, 0) / points.length);
+  const spread = deviation / mean;
+  const score = Math.min(100, Math.round((spread / VOLATILITY_FULL_SCALE) * 100));
+  return factor(score, `${Math.min(...points)}-${Math.max(...points)} points over ${points.length} seasons (±${Math.round(spread * 100)}%)`);
+}
+
+// Rookies and second-year players are harder to project
+function experienceFactor(statsRecord) {
+  if (!statsRecord) return factor(null, 'No stats scraped');
+  if (statsRecord.is_likely_rookie) return factor(EXPERIENCE_SCORES[0], 'Likely rookie');
+  
+  const seasons = Object.values(statsRecord.seasons || {}).filter(season => typeof season.fantasy_points === 'number').length;
+  const score = EXPERIENCE_SCORES[seasons] ?? 0;
+  return factor(score, `${seasons} NFL season${seasons === 1 ? '' : 's'} of stats`);
+}
+
+// Last season ends with the Super Bowl; a move before this date has had a season to settle
+const lastSeasonEnd = today => `${today.getUTCMonth() >= 1 ? today.getUTCFullYear() : today.getUTCFullYear() - 1}-02-01`;
+
+// New team since last season, from the registry's dated team history ({ team, since } oldest first). Without an
+// entry from before then, the first team the registry saw him on stands in for last season's
+function teamChangeFactor(player, registryEntry, today = new Date()) {
+  if (!registryEntry) return factor(null, 'Not in the player registry');
+  
+  const history = registryEntry.team_history || [];
+  const current = player.team || registryEntry.team;
+  const cutoff = lastSeasonEnd(today);
+  const before = history.filter(entry => (entry.since || '') < cutoff);
+  const previous = before.length > 0 ? before[before.length - 1] : history[0];
+  if (!previous || previous.team === current) return factor(0, `No change from ${current}`);
+  return factor(100, `Joined ${current} from ${previous.team}`);
+}
+
+function tierFor(score) {
+  return RISK_TIERS.find(({ min }) => score >= min).tier;
+}
+
+// Suggested tier, score and per-factor breakdown for one player (null when there is no data at all)
+function scorePlayerRisk(player, { injuryRecord, statsRecord, registryEntry, currentSeason = getCurrentNFLSeason(), today } = {}) {
+  const values = {
+    injury: injuryFactor(injuryRecord, currentSeason),
+    volatility: volatilityFactor(statsRecord),
+    experience: experienceFactor(statsRecord),
+    team_change: teamChangeFactor(player, registryEntry, today)
+  };
+  
+  const factors = RISK_FACTORS.map(({ factor: name, weight }) => ({ factor: name, weight, ...values[name] }));
+  const scored = factors.filter(entry => entry.score !== null);
+  if (scored.length === 0) return null;
+  
+  const totalWeight = scored.reduce((sum, entry) => sum + entry.weight, 0);
+  const score = Math.round(scored.reduce((sum, entry) => sum + entry.weight * entry.score, 0) / totalWeight);
+  return { tier: tierFor(score), score, factors };
+}
+
+// A consensus player's registry id and suggested risk (null without data), joined through the registry
+function riskForPlayer(player, { registry, stats = {}, injuries = {}, currentSeason, today }) {
+  const registryEntry = findPlayer(registry, player);
+  const id = registryEntry && registryEntry.id;
+  const risk = scorePlayerRisk(player, {
+    injuryRecord: id ? injuries[id] : null,
+    statsRecord: id ? stats[id] : null,
+    registryEntry,
+    currentSeason,
+    today
+  });
+  return { id, risk };
+}
+
+// Add suggested_risk ({ tier, score }) to each consensus player; the user's own risk field is left alone
+function applySuggestedRisk(players, context) {
+  return players.map(player => {
+    const { risk } = riskForPlayer(player, context);
+    const { suggested_risk: _previous, ...rest } = player;
+    return risk ? { ...rest, suggested_risk: { tier: risk.tier, score: risk.score } } : rest;
+  });
+}
+
+// { version, updated_at, players: { id: factors } } for every registered player with a suggestion
+function riskFactorsFile(players, context) {
+  const breakdowns = {};
+  players.forEach(player => {
+    const { id, risk } = riskForPlayer(player, context);
+    if (id && risk) breakdowns[id] = risk.factors;
+  });
+  
+  const sorted = {};
+  Object.keys(breakdowns).sort().forEach(id => {
+    sorted[id] = breakdowns[id];
+  });
+  return { version: 1, updated_at: new Date().toISOString(), players: sorted };
+}
+
+// Score every consensus file from the scraped stats and injuries and publish it, and the breakdowns, to docs/data
+async function updateSuggestedRisk(options = {}) {
+  const {
+    formats = ADP_FORMATS,
+    consensusDir = CONSENSUS_DIR,
+    docsDir = DOCS_DATA_DIR,
+    statsPath = STATS_PATH,
+    injuryPath = INJURY_PATH,
+    riskFactorsPath = RISK_FACTORS_PATH,
+    registryPath,
+    force = false
+  } = options;
+  
+  const registry = await loadRegistry(registryPath);
+  const stats = await readJsonFile(statsPath);
+  const injuries = await readJsonFile(injuryPath);
+  const context = {
+    registry,
+    stats: (stats && stats.data) || {},
+    injuries: (injuries && injuries.data) || {},
+    currentSeason: (injuries && injuries.current_nfl_season) || (stats && stats.current_nfl_season) || getCurrentNFLSeason()
+  };
+  
+  const scoredPlayers = [];
+  for (const format of formats) {
+    const consensusPath = path.join(consensusDir, format.file);
+    const players = await readJsonFile(consensusPath);
+    if (!players) throw new Error(`${consensusPath} not found; run the ADP scrape first`);
+    scoredPlayers.push(...players);
+    
+    const scored = applySuggestedRisk(players, context);
+    const counts = {};
+    scored.forEach(player => {
+      const tier = player.suggested_risk ? player.suggested_risk.tier : 'unscored';
+      counts[tier] = (counts[tier] || 0) + 1;
+    });
+    console.log(`🩺 ${format.label}: ${Object.entries(counts).map(([tier, count]) => `${count} ${tier}`).join(', ')}`);
+    
+    await writeCheckedOutput(consensusPath, scored, { schema: 'expert-consensus', force });
+    await writeOutput(path.join(docsDir, format.file), scored);
+  }
+  
+  const breakdowns = riskFactorsFile(scoredPlayers, context);
+  assertValid('risk-factors', breakdowns);
+  await writeOutput(riskFactorsPath, breakdowns);
+  await writeOutput(path.join(docsDir, RISK_FACTORS_FILE), breakdowns);
+}
+
+// Run if called directly
+if (require.main === module) {
+  updateSuggestedRisk({ force: process.argv.includes('--force') })
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('💥 Risk scoring failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  RISK_FACTORS,
+  RISK_FACTORS_PATH,
+  RISK_TIERS,
+  injuryFactor,
+  volatilityFactor,
+  experienceFactor,
+  teamChangeFactor,
+  scorePlayerRisk,
+  applySuggestedRisk,
+  riskFactorsFile,
+  updateSuggestedRisk
+};
@@ -1,39 +1,15 @@
-const axios = require('axios');
-const cheerio = require('cheerio');
-const fs = require('fs').promises;
-const path = require('path');
-
-// Get current NFL season dynamically
-function getCurrentNFLSeason() {
-  const now = new Date();
-  const currentYear = now.getFullYear();
-  const month = now.getMonth() + 1;
-  
-  // NFL season runs Sept-Feb
-  return month >= 8 ? currentYear : currentYear - 1;
-}
-
-function getValidationYears() {
-  const currentSeason = getCurrentNFLSeason();
-  return {
-    lastYear: currentSeason,
-    yearBeforeLast: currentSeason - 1,
-    currentSeason: currentSeason
-  };
-}
-
-// Generate clean URL slug from player name
-function generatePlayerSlug(playerName) {
-  return playerName
-    .toLowerCase()
-    .replace(/[.']/g, '')
-    .replace(/[^a-z\s]/g, '')
-    .replace(/\s+/g, '-')
-    .trim();
-}
+const {
+  getValidationYears,
+  generatePlayerSlug,
+  DEFAULT_PAGE_TTL,
+  collectFromSources,
+  mergeValues,
+  runScraper,
+  runFromCommandLine
+} = require('./lib');
 
 // Generate name variations to try (handle collisions + ADP position lookup)
-async function generateNameVariations(playerName, position, adpPlayers) {
+function generateNameVariations(playerName, position, adpPlayers) {
   const baseSlug = generatePlayerSlug(playerName);
   
   // Try to find player position from ADP data if collision expected
@@ -54,198 +30,255 @@ async function generateNameVariations(playerName, position, adpPlayers) {
   ];
 }
 
-// Get top 250 players from ADP API (with retry logic)
-async function getTop250Players() {
-  const maxRetries = 3;
-  const retryDelay = 30000; // 30 seconds
+// Build the FantasyPros game log URLs to try for one season (registry slug first)
+function buildGameLogUrls(player, year, adpPlayers, knownSlug = null) {
+  const variations = generateNameVariations(player.name, player.position, adpPlayers);
+  const slugs = knownSlug ? [knownSlug, ...variations.filter(slug => slug !== knownSlug)] : variations;
   
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      console.log(`🔄 Fetching ADP data... (attempt ${attempt}/${maxRetries})`);
-      const response = await axios.get('https://fantasyranker-adp-api.onrender.com/api/players', {
-        timeout: 60000 // 60 second timeout
-      });
-      
-      const apiResponse = response.data;
-      
-      if (!apiResponse || !apiResponse.players || !Array.isArray(apiResponse.players)) {
-        throw new Error('ADP API returned unexpected data structure');
-      }
-      
-      const adpData = apiResponse.players;
-      console.log(`📊 Found ${adpData.length} total players from ADP API`);
-      
-      // Filter to skill positions and get top 250
-      const skillPositions = ['QB', 'RB', 'WR', 'TE'];
-      const skillPlayers = adpData.filter(player => 
-        player && player.position && skillPositions.includes(player.position)
-      ).slice(0, 250);
-      
-      console.log(`🎯 Filtered to ${skillPlayers.length} skill position players`);
-      
-      return skillPlayers.map(player => ({
-        name: player.name,
-        position: player.position,
-        team: player.team,
-        adp: player.adp || player.overallRank
-      }));
-      
-    } catch (error) {
-      if (error.response?.status === 503 && attempt < maxRetries) {
-        console.log(`😴 ADP API hibernating (503), waiting ${retryDelay/1000}s before retry...`);
-        await new Promise(resolve => setTimeout(resolve, retryDelay));
-        continue;
-      }
-      
-      if (attempt < maxRetries) {
-        console.log(`❌ ADP API error (attempt ${attempt}): ${error.message}`);
-        console.log(`⏱️  Retrying in ${retryDelay/1000}s...`);
-        await new Promise(resolve => setTimeout(resolve, retryDelay));
-        continue;
-      }
-      
-      console.error('❌ Failed to fetch ADP data after all retries:', error.message);
-      throw error;
-    }
-  }
+  return slugs.map(playerSlug => ({
+    url: `https://www.fantasypros.com/nfl/games/${playerSlug}.php?season=${year}`,
+    label: `${player.name} ${year}: ${playerSlug}`,
+    slug: playerSlug,
+    position: player.position
+  }));
 }
 
-// Define fixed table structures for each position
+// Column definition: stat key, header group it sits under, and the header labels it may use
+const col = (key, group, ...labels) => ({ key, group, labels });
+
+const PASSING = [
+  col('pass_cmp', 'PASSING', 'CMP'), col('pass_att', 'PASSING', 'ATT'), col('pass_pct', 'PASSING', 'PCT'),
+  col('pass_yds', 'PASSING', 'YDS'), col('pass_ya', 'PASSING', 'Y/A'), col('pass_td', 'PASSING', 'TD'),
+  col('pass_int', 'PASSING', 'INT'), col('pass_sacks', 'PASSING', 'SACKS', 'SACK')
+];
+const RUSHING = [
+  col('rush_att', 'RUSHING', 'ATT'), col('rush_yds', 'RUSHING', 'YDS'), col('rush_ya', 'RUSHING', 'Y/A'),
+  col('rush_lg', 'RUSHING', 'LG'), col('rush_td', 'RUSHING', 'TD')
+];
+const RECEIVING = [
+  col('rec', 'RECEIVING', 'REC'), col('rec_tgt', 'RECEIVING', 'TGT'), col('rec_yds', 'RECEIVING', 'YDS'),
+  col('rec_yr', 'RECEIVING', 'Y/R'), col('rec_lg', 'RECEIVING', 'LG'), col('rec_td', 'RECEIVING', 'TD')
+];
+const FUMBLES = [col('fum', 'FUMBLES', 'FUM', 'FL'), col('fuml', 'FUMBLES', 'LOST', 'FUML')];
+const FANTASY_POINTS = col('fantasy_points', null, 'POINTS', 'FPTS', 'PTS', 'FANTASY POINTS');
+
+// Table structures for each position, matched against the real headers of each page
 const TABLE_STRUCTURES = {
   QB: {
-    columns: [
-      'pass_cmp', 'pass_att', 'pass_pct', 'pass_yds', 'pass_ya', 'pass_td', 'pass_int', 'pass_sacks',
-      'rush_att', 'rush_yds', 'rush_ya', 'rush_lg', 'rush_td', 'fum', 'fuml', 'fantasy_points'
-    ],
+    columns: [...PASSING, ...RUSHING, ...FUMBLES, FANTASY_POINTS],
     identifiers: ['CMP', 'ATT', 'PCT']
   },
   
   RB: {
-    columns: [
-      'rush_att', 'rush_yds', 'rush_ya', 'rush_lg', 'rush_td', 'rec', 'rec_tgt', 'rec_yds', 'rec_yr', 'rec_lg', 'rec_td', 'fum', 'fuml', 'fantasy_points'
-    ],
+    columns: [...RUSHING, ...RECEIVING, ...FUMBLES, FANTASY_POINTS],
     identifiers: ['ATT', 'YDS', 'Y/A', 'REC']
   },
   
   WR: {
+    columns: [...RECEIVING, ...RUSHING, ...FUMBLES, FANTASY_POINTS],
+    identifiers: ['REC', 'TGT', 'YDS', 'Y/R']
+  },
+  
+  // Same layout as WR on FantasyPros - told apart by the player's listed position
+  TE: {
+    columns: [...RECEIVING, ...RUSHING, ...FUMBLES, FANTASY_POINTS],
+    identifiers: ['REC', 'TGT', 'YDS', 'Y/R']
+  },
+  
+  K: {
     columns: [
-      'rec', 'rec_tgt', 'rec_yds', 'rec_yr', 'rec_lg', 'rec_td', 'rush_att', 'rush_yds', 'rush_ya', 'rush_lg', 'rush_td', 'fum', 'fuml', 'fantasy_points'
+      col('fg', 'FIELD GOALS', 'FG', 'FGM'), col('fg_att', 'FIELD GOALS', 'FGA'), col('fg_pct', 'FIELD GOALS', 'PCT'),
+      col('fg_lg', 'FIELD GOALS', 'LG'), col('fg_1_19', 'FIELD GOALS', '1-19'), col('fg_20_29', 'FIELD GOALS', '20-29'),
+      col('fg_30_39', 'FIELD GOALS', '30-39'), col('fg_40_49', 'FIELD GOALS', '40-49'), col('fg_50_plus', 'FIELD GOALS', '50+'),
+      col('xp', 'EXTRA POINTS', 'XPT', 'XP', 'XPM'), col('xp_att', 'EXTRA POINTS', 'XPA'),
+      FANTASY_POINTS
     ],
-    identifiers: ['REC', 'TGT', 'YDS', 'Y/R']
+    identifiers: ['FG', 'FGA', 'XPT']
+  },
+  
+  DST: {
+    columns: [
+      col('def_sack', null, 'SACK', 'SACKS'), col('def_int', null, 'INT'), col('def_fr', null, 'FR'),
+      col('def_ff', null, 'FF'), col('def_td', null, 'DEF TD', 'TD'), col('def_safety', null, 'SFTY', 'SAFETY'),
+      col('def_st_td', null, 'SPC TD', 'ST TD'), col('def_pts_allowed', null, 'PA', 'PTS ALLOWED'),
+      col('def_yds_allowed', null, 'YA', 'YDS ALLOWED'),
+      FANTASY_POINTS
+    ],
+    identifiers: ['SACK', 'FR', 'SFTY']
   }
 };
 
-// Detect position based on table headers
-function detectPositionFromHeaders(headers) {
+// Position groups that can never share a table layout - used to reject the wrong player's page
+const POSITION_FAMILIES = { QB: 'QB', RB: 'SKILL', WR: 'SKILL', TE: 'SKILL', K: 'K', DST: 'DST' };
+
+const headerLabel = header => (typeof header === 'string' ? header : header.label);
+
+// Detect position based on table headers (expectedPosition separates TE from WR)
+function detectPositionFromHeaders(headers, expectedPosition = null) {
+  const labels = headers.map(headerLabel);
+  const receivingPosition = expectedPosition === 'TE' ? 'TE' : 'WR';
+  
   // Check for QB identifiers
-  if (headers.includes('CMP') && headers.includes('ATT') && headers.includes('PCT')) {
+  if (labels.includes('CMP') && labels.includes('ATT') && labels.includes('PCT')) {
     return 'QB';
   }
   
+  // Check for kicker identifiers
+  if (labels.includes('FGA') || (labels.includes('FG') && labels.includes('XPT'))) {
+    return 'K';
+  }
+  
+  // Check for defense identifiers
+  if (!labels.includes('REC') && !labels.includes('ATT') &&
+      labels.includes('INT') && (labels.includes('FR') || labels.includes('SFTY') || labels.includes('PA'))) {
+    return 'DST';
+  }
+  
   // Check for WR/TE identifiers (receiving stats first)
-  if (headers.includes('REC') && headers.includes('TGT') && headers.indexOf('REC') < headers.indexOf('ATT')) {
-    return 'WR';
+  if (labels.includes('REC') && labels.includes('TGT') && labels.indexOf('REC') < labels.indexOf('ATT')) {
+    return receivingPosition;
   }
   
   // Check for RB identifiers (rushing stats first)
-  if (headers.includes('ATT') && headers.includes('REC') && headers.indexOf('ATT') < headers.indexOf('REC')) {
+  if (labels.includes('ATT') && labels.includes('REC') && labels.indexOf('ATT') < labels.indexOf('REC')) {
     return 'RB';
   }
   
   // Fallback logic
-  if (headers.includes('REC')) {
-    return 'WR';
+  if (labels.includes('REC')) {
+    return receivingPosition;
   }
   
   return 'RB';
 }
 
-// Parse totals cells using fixed column mapping
-function parseTotalsCellsByPosition(cells, headers, playerName) {
-  const position = detectPositionFromHeaders(headers);
+// Map each structure column to the index of the header it sits under (-1 if missing)
+function mapColumnsToHeaders(structure, headers) {
+  const hasGroups = headers.some(header => typeof header !== 'string' && header.group);
+  const used = new Set();
+  
+  return structure.columns.map(column => {
+    const index = headers.findIndex((header, i) => {
+      if (used.has(i) || !column.labels.includes(headerLabel(header))) return false;
+      // With group headers available, "YDS" under RUSHING must not match passing yards
+      return !hasGroups || !column.group || header.group === column.group;
+    });
+    if (index !== -1) used.add(index);
+    return index;
+  });
+}
+
+// Parse a cell into a number ("1,456" -> 1456, "63.6%" -> 63.6); null when empty
+function parseStatValue(cellValue) {
+  if (!cellValue || cellValue === '-') return null;
+  const value = parseFloat(cellValue.replace(/,/g, '').replace('%', ''));
+  return isNaN(value) ? null : value;
+}
+
+// Read the mapped stat columns of one row into { stat_key: number }
+function readRowStats(structure, columnIndexes, cells, offset = 0) {
+  const stats = {};
+  structure.columns.forEach((column, i) => {
+    if (columnIndexes[i] === -1) return;
+    const value = parseStatValue(cells[columnIndexes[i] - offset]);
+    if (value !== null) {
+      stats[column.key] = value;
+    }
+  });
+  return stats;
+}
+
+// Parse totals cells by matching each stat to its header column
+function parseTotalsCellsByPosition(cells, headers, expectedPosition = null) {
+  const position = detectPositionFromHeaders(headers, expectedPosition);
   const structure = TABLE_STRUCTURES[position];
   
   if (!structure) {
     return { isEmpty: true, reason: 'unknown_position' };
   }
   
-  const stats = {};
-  let hasValidStats = false;
-  
-  // Find where actual data starts - skip "Totals" and empty cells
-  let dataStartIndex = -1;
-  for (let i = 0; i < cells.length; i++) {
-    if (cells[i].toLowerCase() === 'totals') {
-      dataStartIndex = i + 1;
-      while (dataStartIndex < cells.length && (!cells[dataStartIndex] || cells[dataStartIndex].trim() === '')) {
-        dataStartIndex++;
-      }
-      break;
-    }
+  if (!cells.some(cell => cell.toLowerCase() === 'totals')) {
+    return { isEmpty: true, reason: 'no_data_start' };
   }
   
-  if (dataStartIndex === -1) {
-    return { isEmpty: true, reason: 'no_data_start' };
+  if (expectedPosition && POSITION_FAMILIES[expectedPosition] &&
+      POSITION_FAMILIES[expectedPosition] !== POSITION_FAMILIES[position]) {
+    return { isEmpty: true, reason: 'position_mismatch', detectedPosition: position };
   }
   
-  // Map each cell to its corresponding stat based on position
-  for (let i = 0; i < structure.columns.length && (dataStartIndex + i) < cells.length; i++) {
-    const cellValue = cells[dataStartIndex + i];
-    const statName = structure.columns[i];
-    
-    if (cellValue && cellValue !== '-' && cellValue !== '') {
-      let value = parseFloat(cellValue.replace(/,/g, ''));
-      
-      if (!isNaN(value)) {
-        stats[statName] = value;
-        hasValidStats = true;
-      } else if (cellValue.includes('%')) {
-        value = parseFloat(cellValue.replace('%', ''));
-        if (!isNaN(value)) {
-          stats[statName] = value;
-          hasValidStats = true;
-        }
-      }
-    }
+  const columnIndexes = mapColumnsToHeaders(structure, headers);
+  const missingColumns = structure.columns.filter((column, i) => columnIndexes[i] === -1).map(column => column.key);
+  
+  // A table that matches less than half of the expected columns is not the table we think it is
+  if (missingColumns.length > structure.columns.length / 2) {
+    return { isEmpty: true, reason: 'column_mismatch', detectedPosition: position, missing_columns: missingColumns };
   }
   
+  // Totals rows are sometimes shorter than the header row - the stat columns line up from the right
+  const stats = readRowStats(structure, columnIndexes, cells, headers.length - cells.length);
+  const hasValidStats = Object.keys(stats).length > 0;
+  
   if (!hasValidStats) {
     return { isEmpty: true, reason: 'no_valid_stats' };
   }
   
-  return { ...stats, detectedPosition: position };
+  const result = { ...stats, detectedPosition: position };
+  if (missingColumns.length > 0) {
+    result.missing_columns = missingColumns;
+  }
+  return result;
+}
+
+// Expand a row into one entry per column, honouring colspan
+function expandRowCells($, $row) {
+  const cells = [];
+  $row.find('td, th').each((i, cell) => {
+    const span = parseInt($(cell).attr('colspan')) || 1;
+    const text = $(cell).text().trim();
+    for (let s = 0; s < span; s++) {
+      cells.push(s === 0 ? text : '');
+    }
+  });
+  return cells;
+}
+
+// Read table headers as { label, group } - group comes from the spanning row above the labels
+function extractTableHeaders($, $table) {
+  let $rows = $table.find('thead tr');
+  if ($rows.length === 0) {
+    $rows = $table.find('tr').first();
+  }
+  
+  const rows = $rows.toArray().map(row => {
+    const expanded = [];
+    $(row).find('th, td').each((i, cell) => {
+      const span = parseInt($(cell).attr('colspan')) || 1;
+      const text = $(cell).text().trim().toUpperCase();
+      for (let s = 0; s < span; s++) expanded.push(text);
+    });
+    return expanded;
+  });
+  
+  const labels = rows[rows.length - 1] || [];
+  const groups = rows.length > 1 ? rows[rows.length - 2] : [];
+  
+  return labels.map((label, i) => ({ label, group: groups[i] || null }));
 }
 
 // Extract totals data from the page
-function extractTotalsFromPage($, playerName, year) {
+function extractTotalsFromPage($, expectedPosition = null) {
   let totalsData = null;
   
-  $('*').each((index, element) => {
+  $('td, th').each((index, element) => {
     const $element = $(element);
-    const text = $element.text().trim();
     
-    if (text.toLowerCase() === 'totals') {
+    if ($element.text().trim().toLowerCase() === 'totals') {
       const $row = $element.closest('tr');
       if ($row.length > 0) {
-        const cells = [];
-        $row.find('td, th').each((i, cell) => {
-          cells.push($(cell).text().trim());
-        });
+        const cells = expandRowCells($, $row);
+        const headers = extractTableHeaders($, $row.closest('table'));
         
-        // Find table headers
-        const $table = $row.closest('table');
-        const headers = [];
-        $table.find('thead tr th, thead tr td').each((i, header) => {
-          headers.push($(header).text().trim().toUpperCase());
-        });
-        
-        if (headers.length === 0) {
-          $table.find('tr').first().find('th, td').each((i, header) => {
-            headers.push($(header).text().trim().toUpperCase());
-          });
-        }
-        
-        totalsData = parseTotalsCellsByPosition(cells, headers, playerName);
+        totalsData = parseTotalsCellsByPosition(cells, headers, expectedPosition);
         return false;
       }
     }
@@ -254,73 +287,246 @@ function extractTotalsFromPage($, playerName, year) {
   return totalsData || { isEmpty: true, reason: 'no_totals_found' };
 }
 
-// Scrape player game log for a specific year
-async function scrapePlayerGameLog(playerName, position, year, adpPlayers) {
-  const nameVariations = await generateNameVariations(playerName, position, adpPlayers);
+// Split an opponent cell like "vs ARI" or "@ MIA" into team and venue
+function parseOpponent(text) {
+  const match = (text || '').match(/^(vs\.?|@)\s*([A-Z]{2,3})$/i);
+  if (!match) {
+    return { opponent: text || null, home: null };
+  }
+  return { opponent: match[2].toUpperCase(), home: match[1] !== '@' };
+}
+
+// "W 34-28" -> { result: 'W', team_score: 34, opponent_score: 28 }
+function parseGameResult(text) {
+  const match = (text || '').match(/^([WLT])\s*(\d+)\s*-\s*(\d+)/i);
+  if (!match) {
+    return { result: null, team_score: null, opponent_score: null };
+  }
+  return { result: match[1].toUpperCase(), team_score: parseInt(match[2]), opponent_score: parseInt(match[3]) };
+}
+
+// Parse every game row of a game log (bye weeks skipped, missed games kept with played: false)
+function parseGameRows(rows, headers, expectedPosition = null) {
+  const position = detectPositionFromHeaders(headers, expectedPosition);
+  const structure = TABLE_STRUCTURES[position];
   
-  for (const [index, playerSlug] of nameVariations.entries()) {
-    try {
-      const url = `https://www.fantasypros.com/nfl/games/${playerSlug}.php?season=${year}`;
-      
-      console.log(`📊 ${playerName} ${year}: Trying ${playerSlug}`);
-      
-      const response = await axios.get(url, {
-        timeout: 15000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-        }
-      });
-      
-      const $ = cheerio.load(response.data);
-      
-      // Check for "no game data" message
-      const pageText = $('body').text().toLowerCase();
-      if (pageText.includes('does not have any game data') || 
-          pageText.includes('no games found') ||
-          pageText.includes('player not found')) {
-        continue;
-      }
-      
-      // Look for totals data
-      const totalsData = extractTotalsFromPage($, playerName, year);
+  if (expectedPosition && POSITION_FAMILIES[expectedPosition] &&
+      POSITION_FAMILIES[expectedPosition] !== POSITION_FAMILIES[position]) {
+    return { isEmpty: true, reason: 'position_mismatch', detectedPosition: position };
+  }
+  
+  const columnIndexes = mapColumnsToHeaders(structure, headers);
+  const missingColumns = structure.columns.filter((column, i) => columnIndexes[i] === -1).map(column => column.key);
+  
+  if (missingColumns.length > structure.columns.length / 2) {
+    return { isEmpty: true, reason: 'column_mismatch', detectedPosition: position, missing_columns: missingColumns };
+  }
+  
+  const labels = headers.map(headerLabel);
+  const weekIndex = labels.findIndex(label => label === 'WEEK' || label === 'WK');
+  const opponentIndex = labels.indexOf('OPP');
+  const resultIndex = labels.indexOf('RESULT');
+  
+  const games = [];
+  rows.forEach(cells => {
+    if (cells.length !== headers.length) return;
+    
+    const week = parseInt(cells[weekIndex]);
+    const opponentText = opponentIndex === -1 ? '' : cells[opponentIndex];
+    if (isNaN(week) || opponentText.toUpperCase() === 'BYE') return;
+    
+    const stats = readRowStats(structure, columnIndexes, cells);
+    games.push({
+      week,
+      ...parseOpponent(opponentText),
+      ...parseGameResult(resultIndex === -1 ? '' : cells[resultIndex]),
+      played: Object.keys(stats).length > 0,
+      ...stats
+    });
+  });
+  
+  if (games.length === 0) {
+    return { isEmpty: true, reason: 'no_game_rows' };
+  }
+  
+  return { detectedPosition: position, games };
+}
+
+// Per-season summary of the weekly rows - the inputs for consistency and per-game numbers
+function summarizeGames(games) {
+  const points = games.filter(game => game.played).map(game => game.fantasy_points || 0);
+  const total = points.reduce((sum, value) => sum + value, 0);
+  const mean = points.length > 0 ? total / points.length : 0;
+  const variance = points.length > 0
+    ? points.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / points.length
+    : 0;
+  const round = value => Math.round(value * 100) / 100;
+  
+  return {
+    games_played: points.length,
+    fantasy_points: round(total),
+    points_per_game: round(mean),
+    points_stdev: round(Math.sqrt(variance))
+  };
+}
+
+// Extract every weekly row from the game log table on the page
+function extractWeeklyGamesFromPage($, expectedPosition = null) {
+  let weeklyData = null;
+  
+  $('td, th').each((index, element) => {
+    const $element = $(element);
+    
+    if ($element.text().trim().toLowerCase() === 'totals') {
+      const $table = $element.closest('table');
+      const $totalsRow = $element.closest('tr');
+      const headers = extractTableHeaders($, $table);
       
-      if (totalsData && !totalsData.isEmpty) {
-        const fantasyPts = totalsData.fantasy_points || 0;
-        console.log(`✅ ${playerName} ${year}: ${fantasyPts} fantasy points`);
-        return {
-          year: year,
-          urlUsed: playerSlug,
-          ...totalsData,
-          scraped_at: new Date().toISOString()
-        };
-      }
+      const rows = $table.find('tr').toArray()
+        .filter(row => row !== $totalsRow.get(0) && $(row).closest('thead').length === 0)
+        .map(row => expandRowCells($, $(row)));
       
-    } catch (error) {
-      if (error.response && error.response.status === 404) {
-        continue;
-      }
-      console.error(`❌ Error with ${playerSlug} ${year}:`, error.message);
+      weeklyData = parseGameRows(rows, headers, expectedPosition);
+      return false;
     }
-    
-    await new Promise(resolve => setTimeout(resolve, 300));
+  });
+  
+  return weeklyData || { isEmpty: true, reason: 'no_totals_found' };
+}
+
+// FantasyPros shows a message instead of a table for seasons a player did not play
+function hasNoGameData($) {
+  const pageText = $('body').text().toLowerCase();
+  return pageText.includes('does not have any game data') || 
+         pageText.includes('no games found') ||
+         pageText.includes('player not found');
+}
+
+// Log tables that were found but rejected, so misparsed pages show up in the run output
+function logRejectedTable(candidate, data) {
+  if (data.reason === 'position_mismatch' || data.reason === 'column_mismatch') {
+    console.log(`⚠️  ${candidate.label || 'Game log'}: ${data.reason} (table looks like ${data.detectedPosition})`);
+  }
+}
+
+// Parse one FantasyPros game log page into season totals (null if the page has none)
+function parseGameLogPage($, candidate = {}) {
+  if (hasNoGameData($)) return null;
+  
+  // Look for totals data
+  const totalsData = extractTotalsFromPage($, candidate.position);
+  logRejectedTable(candidate, totalsData);
+  
+  return totalsData && !totalsData.isEmpty ? totalsData : null;
+}
+
+// Parse one FantasyPros game log page into its weekly rows (null if the page has none)
+function parseWeeklyGameLogPage($, candidate = {}) {
+  if (hasNoGameData($)) return null;
+  
+  const weeklyData = extractWeeklyGamesFromPage($, candidate.position);
+  logRejectedTable(candidate, weeklyData);
+  
+  if (weeklyData.isEmpty) return null;
+  
+  return {
+    detectedPosition: weeklyData.detectedPosition,
+    ...summarizeGames(weeklyData.games),
+    games: weeklyData.games
+  };
+}
+
+// Scrape player game log for a specific year (season totals unless given another page parser)
+async function scrapePlayerGameLog(player, year, ctx, parsePage = parseGameLogPage) {
+  const candidates = buildGameLogUrls(player, year, ctx.players, ctx.knownSlug(player, 'fantasypros'));
+  const found = await ctx.fetchFirst(candidates, parsePage);
+  
+  if (found) {
+    ctx.recordSlug(player, 'fantasypros', found.candidate.slug);
+    const totalsData = found.result;
+    const fantasyPts = totalsData.fantasy_points || 0;
+    console.log(`✅ ${player.name} ${year}: ${fantasyPts} fantasy points`);
+    return {
+      year: year,
+      urlUsed: found.candidate.slug,
+      ...totalsData,
+      scraped_at: new Date().toISOString()
+    };
   }
   
   return { isEmpty: true, reason: 'all_variations_failed' };
 }
 
+// A season's game logs stop changing once the playoffs are over
+function seasonCompletedAt(year) {
+  return new Date(Date.UTC(year + 1, 2, 1));
+}
+
+// Season from the previous run that can be reused without fetching:
+// undefined = fetch it, null = the previous run already confirmed there is no data
+function reusableSeason(previous, year) {
+  if (!previous) return undefined;
+  
+  const season = previous.seasons && previous.seasons[year];
+  if (season) {
+    return new Date(season.scraped_at) >= seasonCompletedAt(year) ? season : undefined;
+  }
+  
+  // A player with no seasons at all may just have been missed, so only trust gaps around real data
+  const hasSeasons = Object.keys(previous.seasons || {}).length > 0;
+  return hasSeasons && new Date(previous.scraped_at) >= seasonCompletedAt(year) ? null : undefined;
+}
+
+// Completed seasons' pages never change; the current season's expire like any other page
+function gameLogCacheTtl(url) {
+  const season = parseInt(new URL(url).searchParams.get('season'));
+  return season && seasonCompletedAt(season) <= new Date() ? Infinity : DEFAULT_PAGE_TTL;
+}
+
+// Output record for one player's season history
+function buildHistoryRecord(player, seasons, isLikelyRookie) {
+  return {
+    player_id: player.player_id,
+    name: player.name,
+    position: player.position,
+    team: player.team,
+    adp: player.adp,
+    seasons: seasons,
+    total_seasons: Object.keys(seasons).length,
+    is_likely_rookie: isLikelyRookie,
+    scraped_at: new Date().toISOString()
+  };
+}
+
 // Get complete historical stats for a player
-async function getPlayerCompleteHistory(player, adpPlayers) {
+async function getPlayerCompleteHistory(player, ctx, parsePage = parseGameLogPage) {
   console.log(`\n🔍 Processing: ${player.name} (${player.position})`);
   
+  if (ctx.seasons) {
+    return getPlayerSeasonRange(player, ctx, parsePage);
+  }
+  
   const { currentSeason } = getValidationYears();
+  const previous = ctx.previousEntry(player);
   const seasons = {};
   let consecutiveEmptyYears = 0;
   let foundAnyData = false;
   
+  // Reuse completed seasons from the last run, otherwise try ALL URL variations for the year
+  const loadSeason = async year => {
+    const reused = reusableSeason(previous, year);
+    if (reused !== undefined) {
+      return reused || { isEmpty: true, reason: 'known_empty' };
+    }
+    
+    const seasonData = await scrapePlayerGameLog(player, year, ctx, parsePage);
+    await ctx.sleep(800);
+    return seasonData;
+  };
+  
   // Start from current season and work backwards
   for (let year = currentSeason; year >= currentSeason - 10; year--) {
-    // Try ALL URL variations for this year before deciding it's empty
-    const seasonData = await scrapePlayerGameLog(player.name, player.position, year, adpPlayers);
+    const seasonData = await loadSeason(year);
     
     if (seasonData.isEmpty) {
       consecutiveEmptyYears++;
@@ -332,7 +538,7 @@ async function getPlayerCompleteHistory(player, adpPlayers) {
         
         // Double-check one more year to be absolutely sure
         const finalCheckYear = year - 1;
-        const finalCheck = await scrapePlayerGameLog(player.name, player.position, finalCheckYear, adpPlayers);
+        const finalCheck = await loadSeason(finalCheckYear);
         
         if (!finalCheck.isEmpty) {
           console.log(`🔍 ${player.name}: Found data at ${finalCheckYear} - not a rookie, continuing search`);
@@ -341,19 +547,8 @@ async function getPlayerCompleteHistory(player, adpPlayers) {
           consecutiveEmptyYears = 0;
         } else {
           console.log(`✅ ${player.name}: Confirmed 2025 rookie - stopping search`);
-          return {
-            name: player.name,
-            position: player.position,
-            team: player.team,
-            adp: player.adp,
-            seasons: seasons,
-            total_seasons: Object.keys(seasons).length,
-            is_likely_rookie: true,
-            scraped_at: new Date().toISOString()
-          };
+          return buildHistoryRecord(player, seasons, true);
         }
-        
-        await new Promise(resolve => setTimeout(resolve, 800));
       }
       
       // For veterans/players with some data: stop if we hit 2 consecutive empty years
@@ -366,8 +561,6 @@ async function getPlayerCompleteHistory(player, adpPlayers) {
       foundAnyData = true;
       seasons[year] = seasonData;
     }
-    
-    await new Promise(resolve => setTimeout(resolve, 800));
   }
   
   // Validate we found recent activity (last 2 years)
@@ -384,124 +577,156 @@ async function getPlayerCompleteHistory(player, adpPlayers) {
     return null;
   }
   
+  return buildHistoryRecord(player, seasons, false);
+}
+
+// Fixed season range (from the CLI): fetch exactly those years, skipping the rookie/retirement heuristics
+async function getPlayerSeasonRange(player, ctx, parsePage) {
+  const { from, to } = ctx.seasons;
+  const seasons = {};
+  
+  for (let year = to; year >= from; year--) {
+    const seasonData = await scrapePlayerGameLog(player, year, ctx, parsePage);
+    await ctx.sleep(800);
+    
+    if (seasonData.isEmpty) {
+      console.log(`📭 ${player.name} ${year}: No data (all variations tried)`);
+    } else {
+      seasons[year] = seasonData;
+    }
+  }
+  
+  if (Object.keys(seasons).length === 0) {
+    console.log(`❌ ${player.name}: No data found for ${from}-${to}`);
+    return null;
+  }
+  
+  return buildHistoryRecord(player, seasons, false);
+}
+
+// Fold a partial re-scrape into the player's existing record; fresh seasons win
+function mergeHistoryRecords(existing, fresh) {
+  const seasons = { ...existing.seasons, ...fresh.seasons };
+  
   return {
-    name: player.name,
-    position: player.position,
-    team: player.team,
-    adp: player.adp,
-    seasons: seasons,
+    ...fresh,
+    seasons,
     total_seasons: Object.keys(seasons).length,
-    is_likely_rookie: false,
-    scraped_at: new Date().toISOString()
+    is_likely_rookie: fresh.is_likely_rookie && Object.keys(seasons).length === 0
   };
 }
 
-// Main scraping function
-async function scrapeAllPlayers() {
-  try {
-    console.log('🚀 Starting FantasyPros scraping...');
-    console.log(`📅 Current NFL season: ${getCurrentNFLSeason()}`);
-    
-    const players = await getTop250Players();
-    const batchSize = 5;
-    
-    console.log(`🎯 Processing ${players.length} players in batches of ${batchSize}...`);
-    
-    const results = {};
-    const stats = { successful: 0, failed: 0, wrong_player: 0 };
-    
-    for (let i = 0; i < players.length; i += batchSize) {
-      const batch = players.slice(i, i + batchSize);
-      const batchNum = Math.floor(i / batchSize) + 1;
-      const totalBatches = Math.ceil(players.length / batchSize);
-      
-      console.log(`\n📦 Batch ${batchNum}/${totalBatches}: ${batch.map(p => `${p.name} (#${i + batch.indexOf(p) + 1})`).join(', ')}`);
-      
-      const batchPromises = batch.map(async (player) => {
-        try {
-          const playerData = await getPlayerCompleteHistory(player, players);
-          
-          if (playerData) {
-            stats.successful++;
-            console.log(`✅ #${i + batch.indexOf(player) + 1}: ${player.name} - ${Object.keys(playerData.seasons || {}).length} seasons`);
-            return playerData;
-          } else {
-            stats.wrong_player++;
-            console.log(`❌ #${i + batch.indexOf(player) + 1}: ${player.name} - no valid data`);
-            return null;
-          }
-          
-        } catch (error) {
-          console.error(`💥 #${i + batch.indexOf(player) + 1}: ${player.name} - Error: ${error.message}`);
-          stats.failed++;
-          return null;
-        }
-      });
-      
-      const batchResults = await Promise.all(batchPromises);
-      
-      // Store successful results
-      batchResults.forEach((result, index) => {
-        if (result) {
-          const key = result.name.toLowerCase().replace(/[^a-z]/g, '_');
-          results[key] = result;
-        }
-      });
-      
-      console.log(`📊 Batch ${batchNum} complete. Running total: ${stats.successful} successful, ${stats.failed} failed, ${stats.wrong_player} invalid`);
-      
-      // Delay between batches (except for last batch)
-      if (i + batchSize < players.length) {
-        const delay = 2000;
-        console.log(`⏱️  Waiting ${delay/1000} seconds before next batch...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
+// Every game log URL a run could try for a player (for --dry-run)
+function plannedGameLogUrls(player, ctx) {
+  const { currentSeason } = getValidationYears();
+  const { from, to } = ctx.seasons || { from: currentSeason - 10, to: currentSeason };
+  const urls = [];
+  
+  for (let year = to; year >= from; year--) {
+    urls.push(...buildGameLogUrls(player, year, ctx.players, ctx.knownSlug(player, 'fantasypros')));
+  }
+  
+  return urls;
+}
+
+// Season fields that describe where a season came from rather than stat values
+const SEASON_META_KEYS = new Set(['year', 'urlUsed', 'scraped_at', 'detectedPosition', 'missing_columns', 'source', 'value_sources', 'conflicts']);
+
+// Combine season records from several sources: the first source to report a season owns it,
+// later sources only fill stats it lacks, and every value stays traceable to its source
+function mergeStatsRecords(player, pieces) {
+  const seasons = {};
+  
+  for (const { source, record } of pieces) {
+    for (const [year, season] of Object.entries(record.seasons || {})) {
+      if (seasons[year]) {
+        mergeValues(seasons[year], season, source, SEASON_META_KEYS);
+      } else {
+        seasons[year] = { source, ...season };
       }
     }
-    
-    console.log(`\n🎉 Scraping complete!`);
-    console.log(`✅ Successful: ${stats.successful}`);
-    console.log(`❌ Failed: ${stats.failed}`);
-    console.log(`🚫 Wrong player: ${stats.wrong_player}`);
-    
-    const finalData = {
-      success: true,
-      timestamp: new Date().toISOString(),
-      current_nfl_season: getCurrentNFLSeason(),
-      stats: stats,
-      total_players: Object.keys(results).length,
-      data: results
-    };
-    
-    // Create output directory and write to correct path
-    const outputDir = 'Player-Context/Stats';
-    const outputPath = path.join(outputDir, 'player-stats.json');
-    
-    // Ensure directory exists
-    await fs.mkdir(outputDir, { recursive: true });
-    
-    // Write to JSON file
-    await fs.writeFile(outputPath, JSON.stringify(finalData, null, 2));
-    console.log(`📁 Data saved to ${outputPath}`);
-    
-    return finalData;
-    
-  } catch (error) {
-    console.error('❌ Main scraping error:', error);
-    throw error;
   }
+  
+  const isLikelyRookie = Object.keys(seasons).length === 0 && pieces.some(piece => piece.record.is_likely_rookie);
+  return { ...buildHistoryRecord(player, seasons, isLikelyRookie), sources: pieces.map(piece => piece.source) };
 }
 
-// Run if called directly
+const fantasyProsSource = {
+  name: 'fantasypros',
+  kind: 'stats',
+  fetchPlayer: (player, ctx) => getPlayerCompleteHistory(player, ctx)
+};
+
+const statsPlugin = {
+  name: 'FantasyPros',
+  id: 'stats',
+  schema: 'player-stats',
+  outputPath: 'Player-Context/Stats/player-stats.json',
+  cacheTtl: gameLogCacheTtl,
+  sources: [fantasyProsSource],
+  scrapePlayer: (player, ctx) => collectFromSources(ctx.sources || statsPlugin.sources, player, ctx, mergeStatsRecords),
+  plannedUrls: plannedGameLogUrls,
+  mergeRecord: mergeHistoryRecords,
+  describe: playerData => `${Object.keys(playerData.seasons || {}).length} seasons`
+};
+
+// Week-by-week mode: same pages, every game row kept, written next to the season totals
+const weeklyStatsPlugin = {
+  name: 'FantasyPros weekly',
+  id: 'weekly-stats',
+  schema: 'player-weekly-stats',
+  outputPath: 'Player-Context/Stats/player-weekly-stats.json',
+  cacheTtl: gameLogCacheTtl,
+  scrapePlayer: (player, ctx) => getPlayerCompleteHistory(player, ctx, parseWeeklyGameLogPage),
+  plannedUrls: plannedGameLogUrls,
+  mergeRecord: mergeHistoryRecords,
+  describe: playerData => {
+    const seasons = Object.values(playerData.seasons || {});
+    return `${seasons.length} seasons, ${seasons.reduce((sum, season) => sum + season.games.length, 0)} games`;
+  }
+};
+
+// Main scraping function
+function scrapeAllPlayers(options = {}) {
+  return runScraper(statsPlugin, options);
+}
+
+function scrapeAllPlayersWeekly(options = {}) {
+  return runScraper(weeklyStatsPlugin, options);
+}
+
+// Run if called directly (--weekly for the week-by-week file)
 if (require.main === module) {
-  scrapeAllPlayers()
-    .then(() => {
-      console.log('🎯 Scraping completed successfully!');
-      process.exit(0);
-    })
-    .catch(error => {
-      console.error('💥 Scraping failed:', error);
-      process.exit(1);
-    });
+  const plugin = process.argv.includes('--weekly') ? weeklyStatsPlugin : statsPlugin;
+  runFromCommandLine(plugin, { batchSize: parseInt(process.env.BATCH_SIZE) || undefined });
 }
 
-module.exports = { scrapeAllPlayers };
+module.exports = {
+  scrapeAllPlayers,
+  scrapeAllPlayersWeekly,
+  statsPlugin,
+  weeklyStatsPlugin,
+  fantasyProsSource,
+  TABLE_STRUCTURES,
+  generateNameVariations,
+  buildGameLogUrls,
+  detectPositionFromHeaders,
+  mapColumnsToHeaders,
+  parseTotalsCellsByPosition,
+  extractTableHeaders,
+  extractTotalsFromPage,
+  parseOpponent,
+  parseGameResult,
+  parseGameRows,
+  summarizeGames,
+  extractWeeklyGamesFromPage,
+  parseGameLogPage,
+  parseWeeklyGameLogPage,
+  seasonCompletedAt,
+  reusableSeason,
+  gameLogCacheTtl,
+  mergeHistoryRecords,
+  mergeStatsRecords,
+  plannedGameLogUrls,
+  getPlayerCompleteHistory
+};
@@ -0,0 +1,91 @@
+// Comparing several rankers' boards with each other and the consensus, and merging them into one weighted
+// group board, shared by the site (window.DraftCraftCompare) and the tests (require)
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./share'));
+    } else {
+        root.DraftCraftCompare = factory(root.DraftCraftShare);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Share) {
+    const round1 = value => Math.round(value * 10) / 10;
+
+    // A player left off a list counts as ranked just past its end
+    const rankIn = (ranker, index) => (index === undefined ? ranker.players.length + 1 : index + 1);
+
+    const indexById = rankers => rankers.map(ranker => new Map(ranker.players.map((p, i) => [p.id, i])));
+
+    // Every player anyone ranked, by average rank: { player, adp, ranks: [rank or null per ranker],
+    // adpDeltas: [ADP minus rank or null], best, worst, spread (between the rankers who have him), average }.
+    // `rankers` are [{ name, players }] in rank order; `adp` maps ids to today's ADP
+    function compareRankings(rankers, adp = new Map()) {
+        const indexes = indexById(rankers);
+        const players = new Map();
+        rankers.forEach(ranker => ranker.players.forEach(p => {
+            if (!players.has(p.id)) players.set(p.id, p);
+        }));
+
+        return [...players.values()].map(player => {
+            const ranks = indexes.map(index => (index.has(player.id) ? index.get(player.id) + 1 : null));
+            const ranked = ranks.filter(rank => rank !== null);
+            const playerAdp = adp.get(player.id) || player.adp || null;
+            return {
+                player,
+                adp: playerAdp,
+                ranks,
+                adpDeltas: ranks.map(rank => (rank === null ? null : Share.adpDelta({ adp: playerAdp, overallRank: rank }))),
+                best: Math.min(...ranked),
+                worst: Math.max(...ranked),
+                spread: Math.max(...ranked) - Math.min(...ranked),
+                average: round1(rankers.reduce((sum, ranker, r) => sum + rankIn(ranker, indexes[r].get(player.id)), 0) / rankers.length)
+            };
+        }).sort((a, b) => a.average - b.average || a.best - b.best);
+    }
+
+    // Rows from compareRankings with the widest spread, among players someone ranks inside the top `within`
+    function biggestDisagreements(rows, { count = 15, within = 150 } = {}) {
+        return rows
+            .filter(row => row.best <= within && row.ranks.filter(rank => rank !== null).length > 1)
+            .sort((a, b) => b.spread - a.spread || a.average - b.average)
+            .slice(0, count);
+    }
+
+    // One board from several: players by weighted average rank (ties to the better best rank), each taken from
+    // the heaviest ranker who has him, with the risk most of the weight agrees on and no notes. Rankers weighted 0
+    // are left out. Ranks are filled in, so the result is a normal rankings file's players
+    function mergeRankings(rankers, weights) {
+        const used = rankers.map((ranker, r) => ({ ranker, weight: weights[r] || 0 })).filter(({ weight }) => weight > 0);
+        if (used.length === 0) throw new Error('Give at least one ranker a weight');
+
+        const total = used.reduce((sum, { weight }) => sum + weight, 0);
+        const indexes = indexById(used.map(({ ranker }) => ranker));
+        const heaviestFirst = used.map((entry, u) => ({ ...entry, index: indexes[u] })).sort((a, b) => b.weight - a.weight);
+
+        const ids = new Set(used.flatMap(({ ranker }) => ranker.players.map(p => p.id)));
+        const merged = [...ids].map(id => {
+            const score = used.reduce((sum, { ranker, weight }, u) => sum + weight * rankIn(ranker, indexes[u].get(id)), 0) / total;
+            const best = Math.min(...indexes.filter(index => index.has(id)).map(index => index.get(id) + 1));
+            const holders = heaviestFirst.filter(({ index }) => index.has(id));
+            const votes = {};
+            holders.forEach(({ ranker, weight, index }) => {
+                const risk = ranker.players[index.get(id)].risk || 'Medium';
+                votes[risk] = (votes[risk] || 0) + weight;
+            });
+            const base = holders[0].ranker.players[holders[0].index.get(id)];
+            // Heaviest ranker's risk first, so it wins a tie
+            const risk = Object.keys(votes).sort((a, b) => votes[b] - votes[a])[0];
+            return { player: { ...base, risk, notes: '' }, score, best };
+        }).sort((a, b) => a.score - b.score || a.best - b.best);
+
+        const positionCounts = {};
+        return merged.map(({ player }, i) => {
+            positionCounts[player.position] = (positionCounts[player.position] || 0) + 1;
+            return { ...player, overallRank: i + 1, positionRank: positionCounts[player.position] };
+        });
+    }
+
+    return {
+        compareRankings,
+        biggestDisagreements,
+        mergeRankings
+    };
+});
@@ -0,0 +1,166 @@
+// Draft order, rosters and results export, shared by the site (window.DraftCraftDraft) and the tests (require)
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DraftCraftDraft = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Roster slots in display order; FLEX takes a RB, WR or TE once their own slots are full
+    const ROSTER_SLOTS = ['QB', 'RB', 'WR', 'TE', 'FLEX', 'K', 'DST', 'BENCH'];
+    const FLEX_POSITIONS = ['RB', 'WR', 'TE'];
+    // Every position a player can have
+    const POSITIONS = ['QB', 'RB', 'WR', 'TE', 'K', 'DST'];
+
+    const DEFAULT_LEAGUE = {
+        teams: 12,
+        slot: 1,
+        order: 'snake',
+        roster: { QB: 1, RB: 2, WR: 2, TE: 1, FLEX: 1, K: 1, DST: 1, BENCH: 6 }
+    };
+
+    const isCount = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+    // Validate a league setup and fill in defaults:
+    // { teams: 12, slot: our 1-based draft slot, order: 'snake'|'linear', roster: { QB: 1, ..., BENCH: 6 } }
+    function normalizeLeague(league = {}) {
+        const errors = [];
+        const teams = league.teams === undefined ? DEFAULT_LEAGUE.teams : league.teams;
+        const slot = league.slot === undefined ? DEFAULT_LEAGUE.slot : league.slot;
+        const order = league.order === undefined ? DEFAULT_LEAGUE.order : league.order;
+        const roster = { ...DEFAULT_LEAGUE.roster, ...(league.roster || {}) };
+
+        if (!isCount(teams, 2, 32)) errors.push('teams must be a whole number from 2 to 32');
+        else if (!isCount(slot, 1, teams)) errors.push(`slot must be a whole number from 1 to ${teams}`);
+        if (!['snake', 'linear'].includes(order)) errors.push('order must be snake or linear');
+        Object.entries(roster).forEach(([name, count]) => {
+            if (!ROSTER_SLOTS.includes(name)) errors.push(`roster.${name} is not a roster slot`);
+            else if (!isCount(count, 0, 20)) errors.push(`roster.${name} must be a whole number from 0 to 20`);
+        });
+        if (errors.length === 0 && roundCount({ roster }) === 0) errors.push('roster needs at least one slot');
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid league setup: ${errors.join('; ')}`);
+        }
+
+        return { teams, slot, order, roster };
+    }
+
+    // One round per roster spot
+    function roundCount(league) {
+        return Object.values(league.roster).reduce((sum, count) => sum + count, 0);
+    }
+
+    const roundOf = (pick, league) => Math.ceil(pick / league.teams);
+
+    // Draft slot (1-based) making overall pick n (1-based); snake drafts reverse every other round
+    function teamForPick(pick, league) {
+        const index = (pick - 1) % league.teams;
+        return league.order === 'snake' && roundOf(pick, league) % 2 === 0 ? league.teams - index : index + 1;
+    }
+
+    // Overall pick number of a team's pick in a round (inverse of teamForPick)
+    function pickNumber(round, team, league) {
+        const index = league.order === 'snake' && round % 2 === 0 ? league.teams - team : team - 1;
+        return (round - 1) * league.teams + index + 1;
+    }
+
+    // "3.05" = round 3, fifth pick of the round
+    function pickLabel(pick, league) {
+        return `${roundOf(pick, league)}.${String((pick - 1) % league.teams + 1).padStart(2, '0')}`;
+    }
+
+    // A team's next pick at or after the given one: { pick, picksAway } (null once it has no picks left)
+    function nextPickFor(team, pick, league) {
+        const lastPick = league.teams * roundCount(league);
+        for (let n = pick; n <= lastPick; n++) {
+            if (teamForPick(n, league) === team) return { pick: n, picksAway: n - pick };
+        }
+        return null;
+    }
+
+    function teamName(team, league) {
+        return team === league.slot ? 'You' : `Team ${team}`;
+    }
+
+    // Drafted players (oldest first) as picks in pick order: { pick, label, round, team, player }. A player keeps the
+    // pick and team stored when he was drafted (draftPick, draftTeam); one without them takes his place in the list
+    function draftPicks(players, league) {
+        return players
+            .map((player, i) => {
+                const pick = player.draftPick || i + 1;
+                return {
+                    pick,
+                    label: pickLabel(pick, league),
+                    round: roundOf(pick, league),
+                    team: player.draftTeam || teamForPick(pick, league),
+                    player
+                };
+            })
+            .sort((a, b) => a.pick - b.pick);
+    }
+
+    // The first pick number no one has made yet (an undone pick stays open until it is made again)
+    function nextOpenPick(picks) {
+        const taken = new Set(picks.map(pick => pick.pick));
+        let pick = 1;
+        while (taken.has(pick)) pick++;
+        return pick;
+    }
+
+    // Place a team's players (in draft order) into roster slots and list the starting slots still open
+    function buildRoster(players, league) {
+        const slots = Object.fromEntries(ROSTER_SLOTS.map(name => [name, []]));
+        players.forEach(player => {
+            if (slots[player.position] && slots[player.position].length < league.roster[player.position]) {
+                slots[player.position].push(player);
+            } else if (FLEX_POSITIONS.includes(player.position) && slots.FLEX.length < league.roster.FLEX) {
+                slots.FLEX.push(player);
+            } else {
+                slots.BENCH.push(player);
+            }
+        });
+
+        const needs = ROSTER_SLOTS
+            .filter(name => name !== 'BENCH')
+            .map(name => ({ slot: name, open: league.roster[name] - slots[name].length }))
+            .filter(need => need.open > 0);
+        return { slots, needs };
+    }
+
+    // Names and notes can come from other people's boards: text that a spreadsheet would run as a formula gets a
+    // leading ' (numbers, such as a negative ADP delta, are left alone)
+    const csvCell = value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        const safe = typeof value === 'string' && /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+        return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+    };
+
+    // Pick-by-pick results for a spreadsheet
+    function draftResultsCsv(picks, league) {
+        const rows = [['Pick', 'Round', 'Overall', 'Team', 'Player', 'Position', 'NFL Team']];
+        picks.forEach(({ pick, label, round, team, player }) => {
+            rows.push([label, round, pick, teamName(team, league), player.name, player.position, player.team]);
+        });
+        return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+    }
+
+    return {
+        ROSTER_SLOTS,
+        FLEX_POSITIONS,
+        POSITIONS,
+        DEFAULT_LEAGUE,
+        normalizeLeague,
+        roundCount,
+        teamForPick,
+        pickNumber,
+        pickLabel,
+        nextPickFor,
+        teamName,
+        draftPicks,
+        nextOpenPick,
+        buildRoster,
+        csvCell,
+        draftResultsCsv
+    };
+});
@@ -0,0 +1,211 @@
+// Rankings import from CSV/TSV exports: parsing, column mapping and fuzzy matching against known players,
+// shared by the site (window.DraftCraftImport) and the tests (require)
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./draft'));
+    } else {
+        root.DraftCraftImport = factory(root.DraftCraftDraft);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Draft) {
+    // Fields an import can fill, with the header names other sites and spreadsheets use for them
+    const IMPORT_FIELDS = {
+        rank: ['rk', 'rank', 'overall', 'ovr', 'ecr', 'no'],
+        name: ['player', 'player name', 'name', 'full name', 'playername'],
+        firstName: ['first name', 'firstname', 'first'],
+        lastName: ['last name', 'lastname', 'last'],
+        position: ['pos', 'position', 'slotname'],
+        team: ['team', 'tm', 'nfl team', 'teamname', 'team abbr'],
+        notes: ['notes', 'note', 'comment', 'comments'],
+        risk: ['risk']
+    };
+
+    const POSITION_ALIASES = { DEF: 'DST', 'D/ST': 'DST', DST: 'DST', PK: 'K', FB: 'RB' };
+
+    // Other sites' team codes, in ours
+    const TEAM_ALIASES = {
+        JAX: 'JAC', WSH: 'WAS', LA: 'LAR', ARZ: 'ARI', BLT: 'BAL', CLV: 'CLE', HST: 'HOU', GNB: 'GB',
+        KAN: 'KC', NWE: 'NE', NOR: 'NO', SFO: 'SF', TAM: 'TB', LVR: 'LV', OAK: 'LV'
+    };
+
+    const RISKS = ['Low', 'Medium', 'High'];
+
+    // Same rules as Scrapers/lib/registry.js: "Marvin Harrison Jr." and "marvin harrison" compare equal
+    function normalizePlayerName(name) {
+        const parts = name.toLowerCase()
+            .replace(/[.'’`]/g, '')
+            .replace(/[^a-z\s-]/g, ' ')
+            .replace(/-/g, ' ')
+            .split(/\s+/)
+            .filter(Boolean);
+        while (parts.length > 1 && ['jr', 'sr', 'ii', 'iii', 'iv', 'v'].includes(parts[parts.length - 1])) {
+            parts.pop();
+        }
+        return parts.join(' ');
+    }
+
+    // Tab, semicolon or comma, whichever splits the first line most
+    function detectDelimiter(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        return ['\t', ';', ','].reduce((best, delimiter) => (
+            firstLine.split(delimiter).length > firstLine.split(best).length ? delimiter : best
+        ), ',');
+    }
+
+    // Rows of trimmed cells; quoted cells may hold delimiters, quotes ("") and newlines. Blank rows are dropped
+    function parseDelimited(text, delimiter = detectDelimiter(text)) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        const endCell = () => {
+            row.push(cell.trim());
+            cell = '';
+        };
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                endCell();
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                endCell();
+                rows.push(row);
+                row = [];
+            } else {
+                cell += char;
+            }
+        }
+        if (cell !== '' || row.length > 0) {
+            endCell();
+            rows.push(row);
+        }
+
+        return { delimiter, rows: rows.filter(cells => cells.some(value => value !== '')) };
+    }
+
+    const headerKey = label => label.toLowerCase().replace(/[^a-z0-9/]+/g, ' ').trim();
+
+    // { field: column index or null } from a header row
+    function guessMapping(header) {
+        const keys = header.map(headerKey);
+        const mapping = Object.fromEntries(Object.entries(IMPORT_FIELDS).map(([field, names]) => {
+            const index = keys.findIndex(key => names.includes(key));
+            return [field, index === -1 ? null : index];
+        }));
+        // A "#" column is a rank when nothing else is
+        if (mapping.rank === null && header.includes('#')) mapping.rank = header.indexOf('#');
+        return mapping;
+    }
+
+    // One of the site's positions, or null for anything else (LB, FLEX, "WR/RB"...), which can then only be matched
+    const normalizePosition = value => {
+        const position = value.toUpperCase().replace(/\d+$/, '').trim();
+        const normalized = POSITION_ALIASES[position] || position;
+        return Draft.POSITIONS.includes(normalized) ? normalized : null;
+    };
+
+    const normalizeTeam = value => {
+        const team = value.toUpperCase().trim();
+        return TEAM_ALIASES[team] || team || null;
+    };
+
+    // Data rows as players: [{ line (1-based, counting the header), name, position, team, rank, notes, risk }];
+    // rows without a name are skipped, and a rank column sets the order
+    function readImportRows(rows, mapping) {
+        const cell = (cells, field) => (mapping[field] === null || mapping[field] === undefined ? '' : cells[mapping[field]] || '');
+
+        const players = rows.slice(1).map((cells, i) => {
+            const name = cell(cells, 'name') || `${cell(cells, 'firstName')} ${cell(cells, 'lastName')}`.trim();
+            const rank = parseFloat(cell(cells, 'rank'));
+            const risk = RISKS.find(level => level.toLowerCase() === cell(cells, 'risk').toLowerCase());
+            return {
+                line: i + 2,
+                name,
+                position: normalizePosition(cell(cells, 'position')),
+                team: normalizeTeam(cell(cells, 'team')),
+                rank: Number.isFinite(rank) ? rank : null,
+                notes: cell(cells, 'notes'),
+                risk: risk || null
+            };
+        }).filter(p => p.name);
+
+        if (mapping.rank === null || mapping.rank === undefined) return players;
+        return players
+            .map((p, i) => ({ p, i }))
+            .sort((a, b) => (a.p.rank === null ? Infinity : a.p.rank) - (b.p.rank === null ? Infinity : b.p.rank) || a.i - b.i)
+            .map(({ p }) => p);
+    }
+
+    function editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    // 0-1 likeness of two normalized names; "j jefferson" counts as close to "justin jefferson"
+    function nameSimilarity(a, b) {
+        if (a === b) return 1;
+
+        const [aFirst, ...aRest] = a.split(' ');
+        const [bFirst, ...bRest] = b.split(' ');
+        const initial = (aFirst.length === 1 || bFirst.length === 1) && aFirst[0] === bFirst[0];
+        if (initial && aRest.join(' ') === bRest.join(' ')) return 0.9;
+
+        return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+    }
+
+    // Attach imported rows to known players [{ id, name, position, team, aliases? }]: an exact name or alias
+    // first, then the closest name at or above `threshold` when it clearly beats the next one. A row's position,
+    // when given, must agree; its team settles ties. Every row keeps its closest `suggestionCount` players for review:
+    // [{ ...row, match: player or null, how: 'exact' | 'fuzzy' | null, suggestions }]
+    function matchPlayers(rows, known, { threshold = 0.85, margin = 0.05, suggestionCount = 5 } = {}) {
+        const names = known.map(p => [p.name, ...(p.aliases || [])].map(normalizePlayerName));
+
+        return rows.map(row => {
+            const name = normalizePlayerName(row.name);
+            const scored = known
+                .map((p, i) => ({ p, score: Math.max(...names[i].map(other => nameSimilarity(name, other))) }))
+                .filter(({ p }) => !row.position || !p.position || p.position === row.position)
+                .sort((a, b) => b.score - a.score || (b.p.team === row.team) - (a.p.team === row.team));
+            const suggestions = scored.slice(0, suggestionCount).filter(({ score }) => score >= 0.5).map(({ p }) => p);
+
+            const [best, next] = scored;
+            if (best && best.score === 1) {
+                return { ...row, match: best.p, how: 'exact', suggestions };
+            }
+            const clear = !next || best.score - next.score >= margin || (best.p.team === row.team && next.p.team !== row.team);
+            if (best && best.score >= threshold && clear) {
+                return { ...row, match: best.p, how: 'fuzzy', suggestions };
+            }
+            return { ...row, match: null, how: null, suggestions };
+        });
+    }
+
+    return {
+        IMPORT_FIELDS,
+        normalizePlayerName,
+        detectDelimiter,
+        parseDelimited,
+        guessMapping,
+        readImportRows,
+        nameSimilarity,
+        matchPlayers
+    };
+});
@@ -0,0 +1,191 @@
+// Mock drafts against CPU opponents picking by ADP, shared by the site (window.DraftCraftMock) and the tests (require).
+// Everything works on a plain draft object, so whole drafts, or thousands of them, run the same in Node
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./draft'));
+    } else {
+        root.DraftCraftMock = factory(root.DraftCraftDraft);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Draft) {
+    // CPU teams take at most this many players beyond their starting slots at these positions
+    const EXTRA_AT_POSITION = { QB: 1, TE: 1, K: 0, DST: 0 };
+
+    // randomness: 0 follows ADP exactly, 1 moves a player about 20% of his ADP either way;
+    // lookahead: how many eligible players by ADP a CPU team considers
+    const DEFAULT_OPTIONS = { randomness: 0.5, lookahead: 8 };
+
+    // Players filling an open starting slot look this much earlier to a CPU team
+    const NEED_PULL = 0.9;
+
+    // Bench players count this much towards a team's grade
+    const BENCH_WEIGHT = 0.1;
+
+    // Minimum standard deviations from the league average for each grade
+    const GRADES = [[1.5, 'A+'], [1, 'A'], [0.5, 'B+'], [0, 'B'], [-0.5, 'C+'], [-1, 'C'], [-1.5, 'D'], [-Infinity, 'F']];
+
+    // Seeded generator (mulberry32) so simulations can be repeated
+    function createRng(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Standard normal draw (Box-Muller)
+    function gaussian(rng) {
+        return Math.sqrt(-2 * Math.log(1 - rng())) * Math.cos(2 * Math.PI * rng());
+    }
+
+    const adpOf = p => (typeof p.adp === 'number' ? p.adp : Infinity);
+    const byAdp = (a, b) => (adpOf(a) === adpOf(b) ? 0 : adpOf(a) - adpOf(b));
+
+    // A fresh draft over a player pool: { league, positions in the pool, available (by ADP), picks: [{ pick, team, player }] }
+    function startMockDraft(pool, league) {
+        return {
+            league,
+            positions: new Set(pool.map(p => p.position)),
+            available: [...pool].sort(byAdp),
+            picks: []
+        };
+    }
+
+    // Team on the clock, or null once the draft is over
+    function teamOnClock(draft) {
+        const pick = draft.picks.length + 1;
+        const lastPick = draft.league.teams * Draft.roundCount(draft.league);
+        return pick <= lastPick && draft.available.length > 0 ? Draft.teamForPick(pick, draft.league) : null;
+    }
+
+    const teamPlayers = (draft, team) => draft.picks.filter(pick => pick.team === team).map(pick => pick.player);
+
+    // Give a player to the team on the clock
+    function makePick(draft, playerId) {
+        const team = teamOnClock(draft);
+        if (team === null) throw new Error('Mock draft is complete');
+
+        const index = draft.available.findIndex(p => p.id === playerId);
+        if (index === -1) throw new Error(`Player ${playerId} is not available`);
+
+        const pick = { pick: draft.picks.length + 1, team, player: draft.available.splice(index, 1)[0] };
+        draft.picks.push(pick);
+        return pick;
+    }
+
+    // CPU choice for the team on the clock: the best of the next few eligible players by ADP, each moved by noise
+    // that grows with `randomness` and his ADP, and pulled ahead when he fills an open starting slot. Positions at
+    // their cap are passed over, and once the picks left only cover the open starting slots, only those count.
+    // Slots for positions missing from the pool (K and DST in our data) are never needs
+    function chooseCpuPick(draft, { randomness = DEFAULT_OPTIONS.randomness, lookahead = DEFAULT_OPTIONS.lookahead, rng = Math.random } = {}) {
+        const league = draft.league;
+        const players = teamPlayers(draft, teamOnClock(draft));
+        const needs = Draft.buildRoster(players, league).needs.filter(need => (need.slot === 'FLEX'
+            ? Draft.FLEX_POSITIONS.some(position => draft.positions.has(position))
+            : draft.positions.has(need.slot)));
+        const openStarters = needs.reduce((sum, need) => sum + need.open, 0);
+        const mustFill = Draft.roundCount(league) - players.length <= openStarters;
+
+        const counts = {};
+        players.forEach(p => { counts[p.position] = (counts[p.position] || 0) + 1; });
+        const fillsNeed = p => needs.some(need => need.slot === p.position || (need.slot === 'FLEX' && Draft.FLEX_POSITIONS.includes(p.position)));
+        const underCap = p => !(p.position in EXTRA_AT_POSITION)
+            || (counts[p.position] || 0) < (league.roster[p.position] || 0) + EXTRA_AT_POSITION[p.position];
+
+        const eligible = [];
+        for (const p of draft.available) {
+            if (mustFill ? fillsNeed(p) : underCap(p)) eligible.push(p);
+            if (eligible.length === lookahead) break;
+        }
+        if (eligible.length === 0) eligible.push(draft.available[0]);
+
+        let best = null;
+        let bestScore = Infinity;
+        eligible.forEach(p => {
+            const adp = typeof p.adp === 'number' ? p.adp : draft.picks.length + draft.available.length;
+            const noise = Math.max(0.1, 1 + randomness * 0.2 * gaussian(rng));
+            const score = adp * noise * (fillsNeed(p) ? NEED_PULL : 1);
+            if (score < bestScore) {
+                best = p;
+                bestScore = score;
+            }
+        });
+        return best;
+    }
+
+    // CPU picks until the user's team is on the clock or the draft ends; with `userTeam: null` every team is CPU
+    function runCpuPicks(draft, { userTeam = draft.league.slot, ...options } = {}) {
+        const made = [];
+        let team = teamOnClock(draft);
+        while (team !== null && team !== userTeam) {
+            made.push(makePick(draft, chooseCpuPick(draft, options).id));
+            team = teamOnClock(draft);
+        }
+        return made;
+    }
+
+    // A whole draft with every team on the CPU
+    function simulateDraft(pool, league, options = {}) {
+        const draft = startMockDraft(pool, league);
+        runCpuPicks(draft, { ...options, userTeam: null });
+        return draft;
+    }
+
+    // Chance each player is still there at each of our picks across simulated drafts (ours made by the CPU too):
+    // { picks: [our pick numbers], odds: { id: [chance at each of them] } }
+    function availabilityOdds(pool, league, { simulations = 1000, seed = 1, ...options } = {}) {
+        const rng = createRng(seed);
+        const ourPicks = Array.from({ length: Draft.roundCount(league) }, (_, i) => Draft.pickNumber(i + 1, league.slot, league));
+        const counts = Object.fromEntries(pool.map(p => [p.id, ourPicks.map(() => 0)]));
+
+        for (let n = 0; n < simulations; n++) {
+            const draft = simulateDraft(pool, league, { ...options, rng });
+            const takenAt = new Map(draft.picks.map(pick => [pick.player.id, pick.pick]));
+            pool.forEach(p => {
+                const taken = takenAt.get(p.id);
+                ourPicks.forEach((ourPick, i) => {
+                    if (!taken || taken >= ourPick) counts[p.id][i]++;
+                });
+            });
+        }
+
+        const odds = Object.fromEntries(Object.entries(counts)
+            .map(([id, stillThere]) => [id, stillThere.map(count => Math.round(count / simulations * 1000) / 1000)]));
+        return { picks: ourPicks, odds };
+    }
+
+    // Post-draft grade per team: starters' value plus a little for the bench, in standard deviations from the
+    // league average. `value(player)` defaults to player.points. Returns [{ team, score, grade }] in team order
+    function gradeTeams(draft, value = p => (typeof p.points === 'number' ? p.points : 0)) {
+        const league = draft.league;
+        const scores = Array.from({ length: league.teams }, (_, i) => {
+            const { slots } = Draft.buildRoster(teamPlayers(draft, i + 1), league);
+            const total = Object.entries(slots).reduce((sum, [slot, players]) => {
+                return sum + players.reduce((slotSum, p) => slotSum + value(p), 0) * (slot === 'BENCH' ? BENCH_WEIGHT : 1);
+            }, 0);
+            return { team: i + 1, score: Math.round(total * 10) / 10 };
+        });
+
+        const mean = scores.reduce((sum, s) => sum + s.score, 0) / scores.length;
+        const spread = Math.sqrt(scores.reduce((sum, s) => sum + (s.score - mean) ** 2, 0) / scores.length);
+        return scores.map(s => {
+            const z = spread > 0 ? (s.score - mean) / spread : 0;
+            return { ...s, grade: GRADES.find(([min]) => z >= min)[1] };
+        });
+    }
+
+    return {
+        DEFAULT_OPTIONS,
+        createRng,
+        startMockDraft,
+        teamOnClock,
+        makePick,
+        chooseCpuPick,
+        runCpuPicks,
+        simulateDraft,
+        availabilityOdds,
+        gradeTeams
+    };
+});
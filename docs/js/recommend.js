@@ -0,0 +1,106 @@
+// Draft pick recommendations, shared by the site (window.DraftCraftRecommend) and the tests (require)
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./draft'));
+    } else {
+        root.DraftCraftRecommend = factory(root.DraftCraftDraft);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Draft) {
+    // The user's order sets a player's base value, falling off by `board` per better player likely still there;
+    // urgency, scarcity and need (each scored 0-1) raise it by up to their weight
+    const RECOMMEND_WEIGHTS = { board: 0.25, urgency: 0.5, scarcity: 0.3, need: 0.6 };
+
+    // Where a player actually goes around his ADP: a normal spread of share * ADP picks, at least min
+    const ADP_SPREAD = { min: 3, share: 0.2 };
+
+    // Roster need by the slot the player would fill
+    const NEED_SCORES = { starter: 1, flex: 0.6, bench: 0.2 };
+
+    // Abramowitz-Stegun approximation of the standard normal CDF
+    function normalCdf(x) {
+        const t = 1 / (1 + 0.2316419 * Math.abs(x));
+        const d = 0.3989423 * Math.exp(-x * x / 2);
+        const tail = d * t * (0.3193815 + t * (-0.3565638 + t * (1.781478 + t * (-1.821256 + t * 1.330274))));
+        return x >= 0 ? 1 - tail : tail;
+    }
+
+    // Chance a player with this ADP is drafted before `pick`, given he is still there at `fromPick`
+    function chanceGoneBy(adp, pick, fromPick = 1) {
+        if (typeof adp !== 'number') return 0.5;
+
+        const spread = Math.max(ADP_SPREAD.min, adp * ADP_SPREAD.share);
+        const takenBefore = n => normalCdf((n - 0.5 - adp) / spread);
+        const gone = takenBefore(fromPick);
+        if (gone >= 1) return 1;
+        return Math.min(1, Math.max(0, (takenBefore(pick) - gone) / (1 - gone)));
+    }
+
+    // Which of the open roster slots a player would fill: 'starter', 'flex' or 'bench'
+    function slotFilled(position, needs, flexPositions = Draft.FLEX_POSITIONS) {
+        if (needs.some(need => need.slot === position)) return 'starter';
+        if (flexPositions.includes(position) && needs.some(need => need.slot === 'FLEX')) return 'flex';
+        return 'bench';
+    }
+
+    // Best picks for our next turn with the reasons behind each.
+    // candidates: available players in the user's order [{ id, position, adp, vorp, tier }]
+    // context: { currentPick, targetPick (our next pick), followingPick (the one after, or null), needs }
+    function recommendPicks(candidates, context, { count = 3, weights = RECOMMEND_WEIGHTS } = {}) {
+        const { currentPick, targetPick, followingPick, needs = [], flexPositions = Draft.FLEX_POSITIONS } = context;
+
+        const tierLeft = {};
+        candidates.forEach(c => {
+            if (c.tier) tierLeft[`${c.position}|${c.tier}`] = (tierLeft[`${c.position}|${c.tier}`] || 0) + 1;
+        });
+        // Expected number of players ahead of each one on the board still there at our pick
+        const available = candidates.map(c => (targetPick > currentPick ? 1 - chanceGoneBy(c.adp, targetPick, currentPick) : 1));
+        let ahead = 0;
+        const expectedAhead = available.map(chance => {
+            const count = ahead;
+            ahead += chance;
+            return count;
+        });
+
+        const vorps = candidates.map(c => c.vorp).filter(vorp => typeof vorp === 'number');
+        const bestVorp = vorps.length > 0 ? Math.max(...vorps) : null;
+
+        return candidates.map((c, index) => {
+            const reasons = [index === 0 ? 'Top of your board' : `#${index + 1} on your board`];
+            const board = 1 / (1 + expectedAhead[index] * weights.board);
+
+            // Players who will not last to our pick are worth little, however good
+            if (available[index] < 0.5) reasons.push(`May not last to your pick at ${targetPick} (ADP ${c.adp})`);
+
+            const urgency = followingPick ? chanceGoneBy(c.adp, followingPick, targetPick) : 1;
+            if (followingPick && urgency >= 0.6) reasons.push(`Likely gone before your next pick at ${followingPick} (ADP ${c.adp})`);
+            else if (followingPick && urgency <= 0.25) reasons.push(`Likely still there at pick ${followingPick} (ADP ${c.adp})`);
+
+            const left = c.tier ? tierLeft[`${c.position}|${c.tier}`] : null;
+            const scarcity = left ? 1 / left : 0;
+            if (left === 1) reasons.push(`Last ${c.position} left in tier ${c.tier}`);
+            else if (left === 2) reasons.push(`One of 2 ${c.position}s left in tier ${c.tier}`);
+
+            const slot = slotFilled(c.position, needs, flexPositions);
+            if (slot === 'starter') reasons.push(`Fills an open ${c.position} spot`);
+            else if (slot === 'flex') reasons.push('Fills your FLEX spot');
+            else reasons.push(`Bench depth: your ${c.position} starters are set`);
+
+            if (bestVorp !== null && c.vorp === bestVorp) reasons.push(`Best VORP available (${c.vorp})`);
+
+            const boost = (1 + weights.urgency * urgency + weights.scarcity * scarcity + weights.need * NEED_SCORES[slot])
+                / (1 + weights.urgency + weights.scarcity + weights.need);
+            const score = available[index] * board * boost;
+            return { ...c, score: Math.round(score * 100), reasons };
+        })
+            .sort((a, b) => b.score - a.score)
+            .slice(0, count);
+    }
+
+    return {
+        RECOMMEND_WEIGHTS,
+        ADP_SPREAD,
+        chanceGoneBy,
+        slotFilled,
+        recommendPicks
+    };
+});
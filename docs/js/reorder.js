@@ -0,0 +1,55 @@
+// Keyboard reordering of the board: moving a selection of players as one block, shared by the site
+// (window.DraftCraftReorder) and the tests (require)
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DraftCraftReorder = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // The players with `ids` pulled out (keeping their order) and put back as a block starting at `toIndex`,
+    // clamped to the list
+    function movePlayers(players, ids, toIndex) {
+        const moving = players.filter(p => ids.has(p.id));
+        const rest = players.filter(p => !ids.has(p.id));
+        const at = Math.max(0, Math.min(rest.length, toIndex));
+        return [...rest.slice(0, at), ...moving, ...rest.slice(at)];
+    }
+
+    // Where the block lands when moved `steps` places up (negative) or down among the players on screen
+    // (`visibleIds`, e.g. one position's list): past that many visible players, or as far as they go. An index for
+    // movePlayers, or null when the block is already at that end
+    function stepTarget(players, ids, visibleIds, steps) {
+        const rest = players.filter(p => !ids.has(p.id));
+        const selected = players.map((p, i) => (ids.has(p.id) ? i : -1)).filter(i => i !== -1);
+        if (selected.length === 0 || steps === 0) return null;
+
+        // In `rest`, the first selected player sat before index `start` and the last one before index `end`
+        const start = selected[0];
+        const end = selected[selected.length - 1] + 1 - selected.length;
+        const visible = rest.map((p, i) => (visibleIds.has(p.id) ? i : -1)).filter(i => i !== -1);
+
+        if (steps < 0) {
+            const above = visible.filter(i => i < start);
+            if (above.length === 0) return null;
+            return above[Math.max(0, above.length + steps)];
+        }
+        const below = visible.filter(i => i >= end);
+        if (below.length === 0) return null;
+        return below[Math.min(below.length, steps) - 1] + 1;
+    }
+
+    // Ids from `anchorId` through `focusId` in list order, both included (shift-selection)
+    function selectRange(ids, anchorId, focusId) {
+        const from = ids.indexOf(anchorId);
+        const to = ids.indexOf(focusId);
+        if (from === -1 || to === -1) return [focusId];
+        return ids.slice(Math.min(from, to), Math.max(from, to) + 1);
+    }
+
+    return {
+        movePlayers,
+        stepTarget,
+        selectRange
+    };
+});
@@ -0,0 +1,137 @@
+// Fantasy scoring rules and calculator, shared by the site (window.DraftCraftScoring) and the Node scripts (require)
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DraftCraftScoring = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Raw stat columns a rule can score; first downs only exist when a CSV source provides them
+    const SCORING_STATS = {
+        pass_cmp: 'Completions', pass_att: 'Pass attempts', pass_yds: 'Passing yards', pass_td: 'Passing TDs',
+        pass_int: 'Interceptions', pass_sacks: 'Sacks taken', pass_1d: 'Passing first downs',
+        rush_att: 'Carries', rush_yds: 'Rushing yards', rush_td: 'Rushing TDs', rush_1d: 'Rushing first downs',
+        rec: 'Receptions', rec_tgt: 'Targets', rec_yds: 'Receiving yards', rec_td: 'Receiving TDs', rec_1d: 'Receiving first downs',
+        fum: 'Fumbles', fuml: 'Fumbles lost'
+    };
+
+    const STANDARD_POINTS = {
+        pass_yds: 0.04, pass_td: 4, pass_int: -2,
+        rush_yds: 0.1, rush_td: 6,
+        rec_yds: 0.1, rec_td: 6,
+        fuml: -2
+    };
+
+    // Built-in rule sets; "standard" reproduces FantasyPros' fantasy_points except for 2-point
+    // conversions, which the game logs do not list
+    const SCORING_PRESETS = {
+        standard: { name: 'Standard', points: STANDARD_POINTS },
+        half: { name: 'Half PPR', points: { ...STANDARD_POINTS, rec: 0.5 } },
+        ppr: { name: 'PPR', points: { ...STANDARD_POINTS, rec: 1 } }
+    };
+
+    // Starting point offered to users: 6-point passing TDs, TE premium, points per carry and per first down
+    const EXAMPLE_RULES = {
+        name: 'My League',
+        base: 'ppr',
+        points: { pass_td: 6, rush_att: 0.1, pass_1d: 0.25, rush_1d: 0.5, rec_1d: 0.5 },
+        positions: { TE: { rec: 1.5 } }
+    };
+
+    const POSITIONS = ['QB', 'RB', 'WR', 'TE', 'K', 'DST'];
+
+    // Rules travel in share links and saved boards, so the name is kept to a short line of plain text
+    const NAME_LIMIT = 40;
+    const plainName = name => (typeof name === 'string' ? name.replace(/[<>\u0000-\u001f\u007f]/g, '').trim().slice(0, NAME_LIMIT).trim() : '');
+
+    const checkPoints = (points, where, errors) => {
+        if (!points || typeof points !== 'object' || Array.isArray(points)) {
+            errors.push(`${where} must be an object of stat: points`);
+            return;
+        }
+        Object.entries(points).forEach(([stat, value]) => {
+            if (!SCORING_STATS[stat]) errors.push(`${where}.${stat} is not a known stat`);
+            else if (typeof value !== 'number' || !Number.isFinite(value)) errors.push(`${where}.${stat} must be a number`);
+        });
+    };
+
+    // Validate a rules object and fill in its base preset:
+    // { name, base: 'ppr'|'half'|'standard', points: { stat: n }, positions: { TE: { rec: 1.5 } } }
+    function normalizeRules(rules) {
+        const errors = [];
+        if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+            throw new Error('Scoring rules must be a JSON object');
+        }
+
+        const base = rules.base === undefined ? 'standard' : rules.base;
+        if (!SCORING_PRESETS[base]) {
+            errors.push(`base must be one of ${Object.keys(SCORING_PRESETS).join(', ')}`);
+        }
+        if (rules.points !== undefined) checkPoints(rules.points, 'points', errors);
+        if (rules.positions !== undefined) {
+            if (!rules.positions || typeof rules.positions !== 'object' || Array.isArray(rules.positions)) {
+                errors.push('positions must be an object keyed by position');
+            } else {
+                Object.entries(rules.positions).forEach(([position, points]) => {
+                    if (!POSITIONS.includes(position)) errors.push(`positions.${position} is not a known position`);
+                    else checkPoints(points, `positions.${position}`, errors);
+                });
+            }
+        }
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid scoring rules: ${errors.join('; ')}`);
+        }
+
+        return {
+            name: plainName(rules.name) || 'Custom',
+            base,
+            points: { ...SCORING_PRESETS[base].points, ...(rules.points || {}) },
+            positions: rules.positions || {}
+        };
+    }
+
+    // Points per unit of each stat for one position (position overrides replace the league value)
+    function pointsFor(rules, position) {
+        return { ...rules.points, ...(rules.positions[position] || {}) };
+    }
+
+    // Fantasy points for one stat line (a season total or a single game)
+    function calculatePoints(stats, rules, position) {
+        const total = Object.entries(pointsFor(rules, position)).reduce((sum, [stat, value]) => {
+            const amount = Number(stats[stat]);
+            return Number.isFinite(amount) ? sum + amount * value : sum;
+        }, 0);
+        return Math.round(total * 100) / 100;
+    }
+
+    // Scored stats that none of the given stat lines has, e.g. first downs when only FantasyPros data is loaded
+    function unavailableStats(statLines, rules) {
+        const scored = new Set([rules.points, ...Object.values(rules.positions)]
+            .flatMap(points => Object.keys(points).filter(stat => points[stat] !== 0)));
+        statLines.forEach(stats => scored.forEach(stat => {
+            if (Number.isFinite(Number(stats[stat])) && stats[stat] !== null) scored.delete(stat);
+        }));
+        return [...scored].sort();
+    }
+
+    // Recompute every season of one player-stats.json entry: { year: points }
+    function calculateSeasons(player, rules) {
+        const seasons = {};
+        Object.values(player.seasons || {}).forEach(season => {
+            seasons[season.year] = calculatePoints(season, rules, player.position);
+        });
+        return seasons;
+    }
+
+    return {
+        SCORING_STATS,
+        SCORING_PRESETS,
+        EXAMPLE_RULES,
+        normalizeRules,
+        pointsFor,
+        calculatePoints,
+        unavailableStats,
+        calculateSeasons
+    };
+});
@@ -0,0 +1,175 @@
+// Board exports (CSV, Markdown) and share links, shared by the site (window.DraftCraftShare) and the tests (require)
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./draft'));
+    } else {
+        root.DraftCraftShare = factory(root.DraftCraftDraft);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Draft) {
+    const EXPORT_COLUMNS = ['Rank', 'Player', 'Team', 'Position', 'Pos Rank', 'ADP', 'ADP Delta', 'Risk', 'Notes'];
+
+    // Share links carry this version; links from other versions are refused rather than misread
+    const SHARE_VERSION = 1;
+
+    const RISK_CODES = { Low: 'L', Medium: 'M', High: 'H' };
+
+    // A link is anyone's input: players from outside the pool need an id that is safe anywhere the page puts one,
+    // and text is cut to these lengths
+    const SHARED_ID = /^[a-z0-9-]+$/;
+    const SHARED_TEXT_LIMITS = { name: 80, team: 10, notes: 500 };
+
+    // How much later the market takes a player than you rank him (positive: you are higher on him)
+    function adpDelta(player) {
+        if (!player.adp || !player.overallRank) return null;
+        return Math.round((player.adp - player.overallRank) * 10) / 10;
+    }
+
+    // One row per player (in rank order), cells in EXPORT_COLUMNS order
+    function exportRows(players) {
+        return players.map(p => [
+            p.overallRank,
+            p.name,
+            p.team || '',
+            p.position,
+            p.positionRank ? `${p.position}${p.positionRank}` : '',
+            p.adp || '',
+            adpDelta(p),
+            p.risk || '',
+            p.notes || ''
+        ]);
+    }
+
+    function rankingsCsv(players) {
+        return [EXPORT_COLUMNS, ...exportRows(players)].map(row => row.map(Draft.csvCell).join(',')).join('\n') + '\n';
+    }
+
+    const markdownCell = value => (value === null || value === undefined ? '' : String(value))
+        .replace(/\|/g, '\\|')
+        .replace(/\s*\n\s*/g, ' ');
+
+    // A heading and a table; ADP Delta gets its sign so it reads as a direction
+    function rankingsMarkdown(players, title) {
+        const align = EXPORT_COLUMNS.map(column => (['Rank', 'ADP', 'ADP Delta'].includes(column) ? '---:' : '---'));
+        const rows = exportRows(players).map(cells => {
+            const delta = cells[6];
+            cells[6] = delta > 0 ? `+${delta}` : delta;
+            return cells;
+        });
+        return [
+            `# ${title}`,
+            '',
+            ...[EXPORT_COLUMNS, align, ...rows].map(row => `| ${row.map(markdownCell).join(' | ')} |`)
+        ].join('\n') + '\n';
+    }
+
+    // Compact board for a share link. Players in the format's pool (`knownIds`) travel as their id, with risk and
+    // notes when set; others also carry name, position and team:
+    // { v, name, format, rules?, tiers?, players: [id | [id, risk, notes, name?, position?, team?]] }
+    function packBoard(data, knownIds) {
+        const players = data.players.map(p => {
+            const risk = RISK_CODES[p.risk] || 'M';
+            if (!knownIds.has(p.id)) return [p.id, risk, p.notes || '', p.name, p.position, p.team || ''];
+            if (risk === 'M' && !p.notes) return p.id;
+            return p.notes ? [p.id, risk, p.notes] : [p.id, risk];
+        });
+
+        const packed = { v: SHARE_VERSION, name: data.rankerName || '', format: data.scoringFormat, players };
+        if (data.scoringRules) packed.rules = data.scoringRules;
+        if (data.tierBreaks && Object.keys(data.tierBreaks).length > 0) packed.tiers = data.tierBreaks;
+        return packed;
+    }
+
+    const sharedText = (value, field) => (typeof value === 'string' ? value.slice(0, SHARED_TEXT_LIMITS[field]) : '');
+
+    const sharedNumber = value => (typeof value === 'number' && Number.isFinite(value) ? value : undefined);
+
+    // A player from someone else's board held to a link's rules: a plain id, a name and a known position, text cut
+    // short, numbers for ADP and rank and one of the risks. null if he fails them
+    function sharedPlayer(p) {
+        if (!p || typeof p.id !== 'string' || !SHARED_ID.test(p.id) || !Draft.POSITIONS.includes(p.position)) return null;
+        const name = sharedText(p.name, 'name');
+        if (!name) return null;
+        return {
+            id: p.id,
+            name,
+            position: p.position,
+            team: sharedText(p.team, 'team'),
+            adp: sharedNumber(p.adp),
+            overallRank: sharedNumber(p.overallRank),
+            risk: RISK_CODES[p.risk] ? p.risk : 'Medium',
+            notes: sharedText(p.notes, 'notes')
+        };
+    }
+
+    // The board's players in order, filled in from the format's pool. Players from outside it are kept only with a
+    // plain id, a name and a known position
+    function unpackBoard(packed, pool) {
+        if (!packed || packed.v !== SHARE_VERSION || !Array.isArray(packed.players)) {
+            throw new Error('Unsupported share link');
+        }
+
+        const byId = new Map(pool.map(p => [p.id, p]));
+        const riskOf = code => Object.keys(RISK_CODES).find(risk => RISK_CODES[risk] === code) || 'Medium';
+        const outsider = (id, name, position, team) => {
+            const player = sharedPlayer({ id, name, position, team });
+            return player && { id, name: player.name, position, team: player.team };
+        };
+        return packed.players.map(entry => {
+            const [id, risk, notes, name, position, team] = Array.isArray(entry) ? entry : [entry];
+            const base = byId.get(id) || outsider(id, name, position, team);
+            return base && { ...base, risk: riskOf(risk), notes: sharedText(notes, 'notes') };
+        }).filter(Boolean);
+    }
+
+    // The link's manual tier breaks ({ position: [id of each tier's first player] }), keeping only known positions
+    // and plain ids
+    function unpackTiers(packed) {
+        const tiers = {};
+        if (!packed.tiers || typeof packed.tiers !== 'object') return tiers;
+        Object.entries(packed.tiers).forEach(([position, ids]) => {
+            if (Draft.POSITIONS.includes(position) && Array.isArray(ids)) {
+                tiers[position] = ids.filter(id => typeof id === 'string' && SHARED_ID.test(id));
+            }
+        });
+        return tiers;
+    }
+
+    const toBase64Url = bytes => {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    };
+
+    const fromBase64Url = text => Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), c => c.charCodeAt(0));
+
+    async function transform(bytes, stream) {
+        return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+    }
+
+    // Any JSON value as deflated, URL-safe base64 for a link fragment
+    async function encodeShare(value) {
+        const json = new TextEncoder().encode(JSON.stringify(value));
+        return toBase64Url(await transform(json, new CompressionStream('deflate')));
+    }
+
+    async function decodeShare(text) {
+        const json = await transform(fromBase64Url(text), new DecompressionStream('deflate'));
+        return JSON.parse(new TextDecoder().decode(json));
+    }
+
+    return {
+        EXPORT_COLUMNS,
+        adpDelta,
+        exportRows,
+        rankingsCsv,
+        rankingsMarkdown,
+        packBoard,
+        unpackBoard,
+        unpackTiers,
+        sharedPlayer,
+        encodeShare,
+        decodeShare
+    };
+});
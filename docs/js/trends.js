@@ -0,0 +1,61 @@
+// ADP movement from the pipeline's history (data/adp-history.json), shared by the site (window.DraftCraftTrends)
+// and the tests (require)
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DraftCraftTrends = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const DAY = 24 * 60 * 60 * 1000;
+
+    const shiftDate = (date, days) => new Date(Date.parse(date) + days * DAY).toISOString().slice(0, 10);
+
+    // How a player's ADP moved over the last `days` of a format's history ({ dates, players: { id: [adp per date] } }):
+    // { change, from, to } with change positive for a riser (going earlier), or null without both ends. The start
+    // is the last snapshot on or before `days` before the latest one
+    function adpMovement(series, id, days) {
+        const values = series && series.players[id];
+        if (!values) return null;
+
+        const last = series.dates.length - 1;
+        const to = values[last];
+        const since = shiftDate(series.dates[last], -days);
+        let start = last;
+        while (start >= 0 && series.dates[start] > since) start--;
+        const from = start >= 0 ? values[start] : null;
+        if (typeof to !== 'number' || typeof from !== 'number') return null;
+
+        return { change: Math.round((from - to) * 10) / 10, from, to };
+    }
+
+    // id -> { [days]: movement or null } for every player in the history
+    function adpTrends(series, windows = [7, 30]) {
+        const trends = new Map();
+        Object.keys((series && series.players) || {}).forEach(id => {
+            const trend = {};
+            windows.forEach(days => {
+                trend[days] = adpMovement(series, id, days);
+            });
+            trends.set(id, trend);
+        });
+        return trends;
+    }
+
+    // The `count` players (keeping their order) whose ADP moved most over `days`, either way, by at least minChange
+    function biggestMovers(players, trends, days, { count = 25, minChange = 1 } = {}) {
+        const moved = players
+            .map(p => ({ id: p.id, move: (trends.get(p.id) || {})[days] }))
+            .filter(({ move }) => move && Math.abs(move.change) >= minChange)
+            .sort((a, b) => Math.abs(b.move.change) - Math.abs(a.move.change))
+            .slice(0, count);
+        const ids = new Set(moved.map(({ id }) => id));
+        return players.filter(p => ids.has(p.id));
+    }
+
+    return {
+        adpMovement,
+        adpTrends,
+        biggestMovers
+    };
+});
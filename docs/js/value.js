@@ -0,0 +1,102 @@
+// Value over replacement, tier breaks and ADP flags, shared by the site (window.DraftCraftValue) and the tests (require)
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./draft'));
+    } else {
+        root.DraftCraftValue = factory(root.DraftCraftDraft);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Draft) {
+    const round1 = value => Math.round(value * 10) / 10;
+
+    // { position: [players with points, best first] }
+    function byPosition(players) {
+        const groups = {};
+        players.filter(p => typeof p.points === 'number').forEach(p => {
+            (groups[p.position] = groups[p.position] || []).push(p);
+        });
+        Object.values(groups).forEach(group => group.sort((a, b) => b.points - a.points));
+        return groups;
+    }
+
+    // Starters each position fills across the league: its own slots for every team, plus the
+    // FLEX spots, which go to the best RB/WR/TE left over
+    function starterCounts(groups, league) {
+        const counts = {};
+        Object.entries(league.roster)
+            .filter(([slot]) => slot !== 'FLEX' && slot !== 'BENCH')
+            .forEach(([slot, count]) => { counts[slot] = league.teams * count; });
+
+        const leftovers = Draft.FLEX_POSITIONS.flatMap(position => (groups[position] || []).slice(counts[position] || 0));
+        leftovers
+            .sort((a, b) => b.points - a.points)
+            .slice(0, league.teams * (league.roster.FLEX || 0))
+            .forEach(p => { counts[p.position] = (counts[p.position] || 0) + 1; });
+        return counts;
+    }
+
+    // Points of the best non-starter at each position; 0 when the pool runs out before the starters do
+    function replacementLevels(players, league) {
+        const groups = byPosition(players);
+        const counts = starterCounts(groups, league);
+        return Object.fromEntries(Object.entries(groups).map(([position, group]) => {
+            const replacement = group[counts[position] || 0];
+            return [position, replacement ? replacement.points : 0];
+        }));
+    }
+
+    // { id: points over replacement } for players [{ id, position, points }]; players without points are left out
+    function valueOverReplacement(players, league) {
+        const levels = replacementLevels(players, league);
+        return Object.fromEntries(players
+            .filter(p => typeof p.points === 'number')
+            .map(p => [p.id, round1(p.points - levels[p.position])]));
+    }
+
+    // Indexes where a new tier starts in a list of ADPs in ranking order: a jump from the previous player
+    // (players without ADP are skipped) that is at least `factor` times the median jump among the `window`
+    // jumps on either side, so early rounds and late rounds are each judged against their own spacing
+    function tierBreaks(adps, { window = 5, factor = 2, minGap = 2, minSize = 2 } = {}) {
+        const steps = [];
+        let previous = null;
+        adps.forEach((adp, index) => {
+            if (typeof adp !== 'number') return;
+            if (previous !== null) steps.push({ index, gap: Math.max(0, adp - previous) });
+            previous = adp;
+        });
+
+        const breaks = [];
+        steps.forEach((step, k) => {
+            const nearby = steps
+                .slice(Math.max(0, k - window), k + window + 1)
+                .filter(other => other !== step)
+                .map(other => other.gap)
+                .sort((a, b) => a - b);
+            if (nearby.length === 0) return;
+
+            const median = nearby[Math.floor(nearby.length / 2)];
+            const lastStart = breaks.length > 0 ? breaks[breaks.length - 1] : 0;
+            if (step.gap >= minGap && step.gap >= factor * median && step.index - lastStart >= minSize) {
+                breaks.push(step.index);
+            }
+        });
+        return breaks;
+    }
+
+    // 'reach' when the market takes a player well before the user's rank (getting him means reaching),
+    // 'value' when he usually lasts well past it; the margin grows with the rank
+    function adpFlag(rank, adp, { minSpots = 10, share = 0.3 } = {}) {
+        if (!rank || !adp) return null;
+
+        const margin = Math.max(minSpots, rank * share);
+        if (adp <= rank - margin) return 'reach';
+        if (adp >= rank + margin) return 'value';
+        return null;
+    }
+
+    return {
+        replacementLevels,
+        valueOverReplacement,
+        tierBreaks,
+        adpFlag
+    };
+});
@@ -0,0 +1,157 @@
+// Offline support: the app shell and docs/data are precached so the site opens and works at a draft without a
+// connection. Shell files come from the cache and are refreshed in the background. Data files stay as cached until
+// the page asks for newer ones (data/version.json, written by the sync workflows), so ADP never changes mid-draft
+// behind the user's back
+const SHELL_CACHE = 'draftcraft-shell-v1';
+const DATA_CACHE = 'draftcraft-data';
+const CDN_CACHE = 'draftcraft-cdn';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'styles.css',
+    'site.webmanifest',
+    'favicon.ico',
+    'favicon.png',
+    'js/scoring.js',
+    'js/draft.js',
+    'js/value.js',
+    'js/recommend.js',
+    'js/mock.js',
+    'js/import.js',
+    'js/share.js',
+    'js/reorder.js',
+    'js/compare.js',
+    'js/trends.js'
+];
+
+const DATA_VERSION = 'data/version.json';
+const DATA_FILES = [
+    DATA_VERSION,
+    'data/PPR.json',
+    'data/HPPR.json',
+    'data/STAN.json',
+    'data/player-registry.json',
+    'data/player-stats.json',
+    'data/injury-history.json',
+    'data/adp-history.json',
+    'data/risk-factors.json'
+];
+
+// Tailwind and the font come from CDNs; their responses are opaque, so they are cached as they are
+const CDN_FILES = [
+    'https://cdn.tailwindcss.com',
+    'https://fonts.googleapis.com/css2?family=Poppins:wght@300;400;500;600;700&display=swap'
+];
+const CDN_HOSTS = ['cdn.tailwindcss.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// All data files or none, so the cache never mixes two versions
+async function downloadData() {
+    const responses = await Promise.all(DATA_FILES.map(file => fetch(file, { cache: 'reload' })));
+    const failed = responses.find(response => !response.ok);
+    if (failed) throw new Error(`${failed.url}: HTTP ${failed.status}`);
+
+    const cache = await caches.open(DATA_CACHE);
+    await Promise.all(responses.map((response, i) => cache.put(DATA_FILES[i], response)));
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(SHELL_FILES.map(file => new Request(file, { cache: 'reload' })));
+
+        // Data cached by an earlier worker stays until the page asks for an update
+        const data = await caches.open(DATA_CACHE);
+        if (!(await data.match(DATA_VERSION))) await downloadData();
+
+        const cdn = await caches.open(CDN_CACHE);
+        await Promise.all(CDN_FILES.map(async url => {
+            try {
+                await cdn.put(url, await fetch(url, { mode: 'no-cors' }));
+            } catch (error) {
+                console.warn(`Could not cache ${url}:`, error);
+            }
+        }));
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const keep = [SHELL_CACHE, DATA_CACHE, CDN_CACHE];
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => !keep.includes(name)).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// The cached copy right away, refreshed from the network for next time
+async function staleWhileRevalidate(cacheName, request) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' || cacheName === SHELL_CACHE });
+    const network = fetch(request).then(response => {
+        if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+        return response;
+    });
+
+    if (!cached) return network;
+    network.catch(() => {});
+    return cached;
+}
+
+async function cacheFirst(cacheName, request) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+}
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin) {
+        const isData = url.pathname.startsWith(new URL('data/', self.registration.scope).pathname);
+        event.respondWith(isData ? cacheFirst(DATA_CACHE, request) : staleWhileRevalidate(SHELL_CACHE, request));
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(CDN_CACHE, request));
+    }
+});
+
+// { type: 'data-status', current, latest }: the cached and the published version files (latest is null offline)
+async function checkData() {
+    const cached = await (await caches.open(DATA_CACHE)).match(DATA_VERSION);
+    const current = cached ? await cached.json() : null;
+
+    let latest = null;
+    try {
+        const response = await fetch(DATA_VERSION, { cache: 'no-store' });
+        if (response.ok) latest = await response.json();
+    } catch (error) {
+        // Offline: nothing newer to offer
+    }
+    return { type: 'data-status', current, latest };
+}
+
+async function updateData() {
+    try {
+        await downloadData();
+        return { type: 'data-updated' };
+    } catch (error) {
+        return { type: 'data-update-failed', message: error.message };
+    }
+}
+
+// The page asks with { type: 'check-data' } and { type: 'update-data' }; answers go back to the asking tab
+self.addEventListener('message', event => {
+    const handlers = { 'check-data': checkData, 'update-data': updateData };
+    const handler = event.data && handlers[event.data.type];
+    if (!handler) return;
+
+    event.waitUntil(handler().then(message => event.source.postMessage(message)));
+});
@@ -0,0 +1,65 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expandSeries, compactSnapshots, recordSnapshot, formatHistory, updateAdpHistory } = require('../Scrapers/adp-history');
+const { createEmptyRegistry, resolvePlayer, assertValid } = require('../Scrapers/lib');
+const { silenceConsole } = require('./helpers');
+
+silenceConsole();
+
+const snapshot = entries => new Map(Object.entries(entries));
+
+describe('recordSnapshot', () => {
+  test('stores each day as a column and replaces a day run twice', () => {
+    let series = recordSnapshot(undefined, '2025-08-01', snapshot({ 'chase-wr': 1.4, 'bijan-rb': 2 }));
+    series = recordSnapshot(series, '2025-08-02', snapshot({ 'chase-wr': 1.2, 'nacua-wr': 9 }));
+    series = recordSnapshot(series, '2025-08-02', snapshot({ 'chase-wr': 1.1, 'nacua-wr': 8.5 }));
+    
+    assert.deepEqual(series, {
+      dates: ['2025-08-01', '2025-08-02'],
+      players: { 'bijan-rb': [2, null], 'chase-wr': [1.4, 1.1], 'nacua-wr': [null, 8.5] }
+    });
+    assert.equal(expandSeries(series).get('2025-08-02').get('chase-wr'), 1.1);
+  });
+  
+  test('keeps daily snapshots for recent days, one a week before that, and none past the limit', () => {
+    const days = ['2025-01-01', '2025-06-02', '2025-06-04', '2025-06-05', '2025-07-30', '2025-07-31', '2025-08-01'];
+    const snapshots = new Map(days.map(date => [date, snapshot({ 'chase-wr': 1 })]));
+    
+    const kept = [...compactSnapshots(snapshots, '2025-08-01', { dailyDays: 2, maxDays: 100 }).keys()];
+    
+    assert.deepEqual(kept, ['2025-06-05', '2025-07-30', '2025-07-31', '2025-08-01']);
+  });
+});
+
+describe('updateAdpHistory', () => {
+  test('records every format by registry id and publishes it to docs', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'adp-history-'));
+    const consensusDir = path.join(dir, 'consensus');
+    const docsDir = path.join(dir, 'docs');
+    const registryPath = path.join(dir, 'registry.json');
+    const historyPath = path.join(dir, 'history', 'adp-history.json');
+    const formats = [{ format: 'ppr', file: 'PPR.json', label: 'PPR' }];
+    
+    const registry = createEmptyRegistry();
+    const chase = resolvePlayer(registry, { name: "Ja'Marr Chase", position: 'WR', team: 'CIN' });
+    fs.mkdirSync(consensusDir);
+    fs.writeFileSync(registryPath, JSON.stringify(registry));
+    const writeConsensus = adp => fs.writeFileSync(path.join(consensusDir, 'PPR.json'), JSON.stringify([
+      { id: 'adp_1', name: "Ja'Marr Chase", team: 'CIN', position: 'WR', adp },
+      { id: 'adp_2', name: 'Unknown Rookie', team: 'FA', position: 'RB', adp: 2 }
+    ]));
+    
+    writeConsensus(1.26);
+    await updateAdpHistory({ formats, consensusDir, docsDir, registryPath, historyPath, today: '2025-08-01' });
+    writeConsensus(2);
+    const history = await updateAdpHistory({ formats, consensusDir, docsDir, registryPath, historyPath, today: '2025-08-08' });
+    
+    assert.deepEqual(history.formats.PPR, { dates: ['2025-08-01', '2025-08-08'], players: { [chase.id]: [1.3, 2] } });
+    assertValid('adp-history', history);
+    assert.equal(fs.readFileSync(path.join(docsDir, 'adp-history.json'), 'utf8'), formatHistory(history));
+    assert.match(formatHistory(history), /"jamarr-chase-wr": \[1\.3,2\]/);
+  });
+});
@@ -0,0 +1,78 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ADP_FORMATS, normalizeAdpPlayers, updateAdpData } = require('../Scrapers/adp-scraper');
+const { createFixtureHttp, silenceConsole } = require('./helpers');
+
+silenceConsole();
+
+const apiPlayer = (name, position, overallRank, extra = {}) => ({
+  id: `adp_${overallRank}`, name, team: 'CIN', position, overallRank, positionRank: 1, adp: overallRank, risk: 'Medium', notes: '', ...extra
+});
+
+describe('normalizeAdpPlayers', () => {
+  test('keeps API ranks and ids and sorts by overall rank', () => {
+    const players = normalizeAdpPlayers([apiPlayer('Bijan Robinson', 'RB', 2), apiPlayer("Ja'Marr Chase", 'WR', 1)]);
+    
+    assert.deepEqual(players.map(player => player.id), ['adp_1', 'adp_2']);
+    assert.deepEqual(players[0], apiPlayer("Ja'Marr Chase", 'WR', 1));
+  });
+  
+  test('fills in missing fields and cleans up positions and teams', () => {
+    const players = normalizeAdpPlayers([
+      { name: ' Josh Allen ', position: 'qb', team: 'buf', adp: '12.5' },
+      { name: 'Ravens', position: 'D/ST', team: 'BAL' },
+      { name: 'Unknown Linebacker', position: 'LB', team: 'NYJ' },
+      { position: 'WR' }
+    ]);
+    
+    assert.deepEqual(players, [
+      { id: 'adp_1', name: 'Josh Allen', team: 'BUF', position: 'QB', overallRank: 1, positionRank: 1, adp: 12.5, risk: 'Medium', notes: '' },
+      { id: 'adp_2', name: 'Ravens', team: 'BAL', position: 'DST', overallRank: 2, positionRank: 1, adp: 2, risk: 'Medium', notes: '' }
+    ]);
+  });
+});
+
+describe('updateAdpData', () => {
+  const makeDirs = () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'adp-'));
+    return { dir, consensusDir: path.join(dir, 'consensus'), docsDir: path.join(dir, 'docs') };
+  };
+  
+  test('writes every format to both the consensus and docs folders', async () => {
+    const { dir, consensusDir, docsDir } = makeDirs();
+    const http = createFixtureHttp({
+      '/players/ppr': { players: [apiPlayer("Ja'Marr Chase", 'WR', 1)] },
+      '/players/half': { players: [apiPlayer('Bijan Robinson', 'RB', 1)] },
+      '/players/standard': { players: [apiPlayer('Saquon Barkley', 'RB', 1)] }
+    });
+    
+    await updateAdpData({ http, consensusDir, docsDir, retryDelay: 0 });
+    
+    for (const format of ADP_FORMATS) {
+      const consensus = JSON.parse(fs.readFileSync(path.join(consensusDir, format.file), 'utf8'));
+      const docs = JSON.parse(fs.readFileSync(path.join(docsDir, format.file), 'utf8'));
+      assert.equal(consensus.length, 1);
+      assert.deepEqual(docs, consensus);
+    }
+    assert.equal(JSON.parse(fs.readFileSync(path.join(consensusDir, 'HPPR.json'), 'utf8'))[0].name, 'Bijan Robinson');
+    
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  
+  test('writes nothing when one format cannot be fetched', async () => {
+    const { dir, consensusDir, docsDir } = makeDirs();
+    const http = createFixtureHttp({
+      '/players/ppr': { players: [apiPlayer("Ja'Marr Chase", 'WR', 1)] },
+      '/players/half': { error: 'Internal error' }
+    });
+    
+    await assert.rejects(updateAdpData({ http, consensusDir, docsDir, attempts: 2, retryDelay: 0 }), /unexpected data structure/);
+    assert.equal(fs.existsSync(consensusDir), false);
+    assert.equal(fs.existsSync(docsDir), false);
+    
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,69 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCommandLine, parseSeasonRange } = require('../Scrapers/cli');
+
+describe('parseCommandLine', () => {
+  test('maps flags onto runScraper options', () => {
+    const parsed = parseCommandLine([
+      'stats', '--position', 'qb,te', '--top', '50', '--output', 'out.json',
+      '--concurrency', '3', '--delay', '500', '--resume', '--no-cache'
+    ]);
+    
+    assert.equal(parsed.command, 'stats');
+    assert.equal(parsed.dryRun, false);
+    assert.deepEqual(parsed.options, {
+      positions: ['QB', 'TE'],
+      limit: 50,
+      outputPath: 'out.json',
+      batchSize: 3,
+      batchDelay: 500,
+      resume: true,
+      cache: false
+    });
+  });
+  
+  test('merges player and season subsets into the existing output', () => {
+    const parsed = parseCommandLine(['stats', '--player', 'Josh Allen', '-p', 'Bijan Robinson', '--seasons', '2024-2022', '--dry-run']);
+    
+    assert.deepEqual(parsed.options.names, ['Josh Allen', 'Bijan Robinson']);
+    assert.deepEqual(parsed.options.seasons, { from: 2022, to: 2024 });
+    assert.equal(parsed.options.merge, true);
+    assert.equal(parsed.dryRun, true);
+  });
+  
+  test('picks ADP formats by endpoint name', () => {
+    const parsed = parseCommandLine(['adp', '--format', 'PPR,standard', '--force']);
+    
+    assert.deepEqual(parsed.options.formats.map(format => format.file), ['PPR.json', 'STAN.json']);
+    assert.equal(parsed.options.force, true);
+  });
+  
+  test('builds sources in priority order', () => {
+    const parsed = parseCommandLine(['injuries', '--source', 'foxsports', '--source', 'csv:data/injuries.csv']);
+    
+    assert.deepEqual(parsed.options.sources.map(source => source.name), ['foxsports', 'csv:injuries.csv']);
+  });
+  
+  test('rejects unknown commands, flags and bad values', () => {
+    assert.throws(() => parseCommandLine([]), /Missing command/);
+    assert.throws(() => parseCommandLine(['rankings']), /Unknown command/);
+    assert.throws(() => parseCommandLine(['stats', '--bogus']), /bogus/);
+    assert.throws(() => parseCommandLine(['stats', '--top', 'ten']), /--top/);
+    assert.throws(() => parseCommandLine(['stats', '--concurrency', '0']), /--concurrency/);
+    assert.throws(() => parseCommandLine(['stats', '--position', 'LB']), /Unknown position/);
+    assert.throws(() => parseCommandLine(['injuries', '--seasons', '2024']), /only applies to stats/);
+    assert.throws(() => parseCommandLine(['adp', '--player', 'Josh Allen']), /does not apply to adp/);
+    assert.throws(() => parseCommandLine(['adp', '--format', 'superflex']), /Unknown ADP format/);
+    assert.throws(() => parseCommandLine(['stats', '--source', 'foxsports']), /Unknown source/);
+  });
+});
+
+describe('parseSeasonRange', () => {
+  test('accepts a single season', () => {
+    assert.deepEqual(parseSeasonRange('2024'), { from: 2024, to: 2024 });
+  });
+  
+  test('rejects anything that is not a year or range', () => {
+    assert.throws(() => parseSeasonRange('last-year'), /--seasons/);
+  });
+});
@@ -0,0 +1,53 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { compareRankings, biggestDisagreements, mergeRankings } = require('../docs/js/compare');
+
+const player = (id, position, risk = 'Medium') => ({ id, name: id.toUpperCase(), position, risk, notes: `${id} note` });
+
+const sam = { name: 'Sam', players: [player('chase', 'WR'), player('bijan', 'RB', 'Low'), player('nacua', 'WR')] };
+const alex = { name: 'Alex', players: [player('bijan', 'RB', 'High'), player('nacua', 'WR', 'High'), player('chase', 'WR')] };
+const consensus = { name: 'Consensus', players: [player('chase', 'WR'), player('bijan', 'RB'), player('hall', 'RB')] };
+const adp = new Map([['chase', 1.5], ['bijan', 2.5], ['nacua', 6], ['hall', 4]]);
+
+describe('compareRankings', () => {
+  test('lines up each ranker\'s rank, ADP delta and the spread', () => {
+    const rows = compareRankings([sam, alex, consensus], adp);
+    const byId = Object.fromEntries(rows.map(row => [row.player.id, row]));
+    
+    // Chase and Bijan tie on average; Chase has the better best rank
+    assert.deepEqual(rows.map(row => row.player.id), ['chase', 'bijan', 'nacua', 'hall']);
+    assert.deepEqual(byId.chase.ranks, [1, 3, 1]);
+    assert.deepEqual(byId.chase.adpDeltas, [0.5, -1.5, 0.5]);
+    assert.equal(byId.chase.spread, 2);
+    assert.equal(byId.chase.average, 1.7);
+    // Unranked counts as one past the list's end for the average, but not for the spread
+    assert.deepEqual(byId.hall.ranks, [null, null, 3]);
+    assert.equal(byId.hall.spread, 0);
+    assert.equal(byId.hall.average, 3.7);
+  });
+});
+
+describe('biggestDisagreements', () => {
+  test('puts the widest spreads first and skips players only one ranker has', () => {
+    const rows = biggestDisagreements(compareRankings([sam, alex, consensus], adp), { count: 2 });
+    
+    assert.deepEqual(rows.map(row => [row.player.id, row.spread]), [['chase', 2], ['bijan', 1]]);
+  });
+});
+
+describe('mergeRankings', () => {
+  test('orders by weighted rank, ties to the best rank, and takes risk from the weight', () => {
+    const merged = mergeRankings([sam, alex, consensus], [1, 2, 0]);
+    
+    assert.deepEqual(merged.map(p => [p.id, p.overallRank, p.position + p.positionRank, p.risk]), [
+      ['bijan', 1, 'RB1', 'High'],
+      ['chase', 2, 'WR1', 'Medium'],
+      ['nacua', 3, 'WR2', 'High']
+    ]);
+    assert.equal(merged[0].notes, '');
+  });
+  
+  test('needs some weight', () => {
+    assert.throws(() => mergeRankings([sam], [0]), /Give at least one ranker a weight/);
+  });
+});
@@ -0,0 +1,47 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { parseCsv, createCsvStatsSource, createCsvInjurySource } = require('../Scrapers/csv-source');
+const { FIXTURES_DIR } = require('./helpers');
+
+const fixturePath = name => path.join(FIXTURES_DIR, 'csv', name);
+
+describe('parseCsv', () => {
+  test('handles quoted cells, escaped quotes and CRLF line endings', () => {
+    assert.deepEqual(parseCsv('name,notes\r\n"Allen, Josh","said ""hi"""\r\n\r\nKelce,\n'), [
+      ['name', 'notes'],
+      ['Allen, Josh', 'said "hi"'],
+      ['Kelce', '']
+    ]);
+  });
+});
+
+describe('createCsvStatsSource', () => {
+  test('turns a player\'s rows into numeric seasons', async () => {
+    const source = createCsvStatsSource(fixturePath('season-stats.csv'));
+    
+    const record = await source.fetchPlayer({ name: 'Bijan Robinson', position: 'RB' });
+    
+    assert.equal(source.name, 'csv:season-stats.csv');
+    assert.deepEqual(record.seasons[2023], { year: 2023, rec: 58, rec_yds: 487, rec_td: 4 });
+    assert.deepEqual(Object.keys(record.seasons), ['2022', '2023']);
+  });
+  
+  test('returns null for players that are not in the file', async () => {
+    const source = createCsvStatsSource(fixturePath('season-stats.csv'));
+    assert.equal(await source.fetchPlayer({ name: 'Josh Allen', position: 'QB' }), null);
+  });
+});
+
+describe('createCsvInjurySource', () => {
+  test('normalizes injury rows the same way as Fox Sports', async () => {
+    const source = createCsvInjurySource(fixturePath('injuries.csv'));
+    
+    const record = await source.fetchPlayer({ name: "Ja'Marr Chase", position: 'WR' });
+    
+    assert.equal(record.injuries[0].season, 2024);
+    assert.equal(record.injuries[0].body_part, 'hamstring');
+    assert.equal(record.injuries[0].status_level, 'questionable');
+    assert.equal(record.injuries.length, 2);
+  });
+});
@@ -0,0 +1,43 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildDataVersion, writeDataVersion } = require('../Scrapers/data-version');
+const { silenceConsole } = require('./helpers');
+
+silenceConsole();
+
+const makeDataDir = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-version-'));
+  fs.writeFileSync(path.join(dir, 'PPR.json'), '[{"id":"chase","adp":1}]');
+  fs.writeFileSync(path.join(dir, 'player-stats.json'), '{}');
+  return dir;
+};
+
+describe('buildDataVersion', () => {
+  test('hashes each file, and the ADP files on their own', async () => {
+    const dir = makeDataDir();
+    const first = await writeDataVersion(dir);
+    
+    assert.deepEqual(Object.keys(first.files), ['PPR.json', 'player-stats.json']);
+    assert.match(first.version, /^[0-9a-f]{12}$/);
+    
+    fs.writeFileSync(path.join(dir, 'player-stats.json'), '{"chase":{}}');
+    const statsOnly = await buildDataVersion(dir);
+    assert.notEqual(statsOnly.version, first.version);
+    assert.equal(statsOnly.adp_version, first.adp_version);
+    
+    fs.writeFileSync(path.join(dir, 'PPR.json'), '[{"id":"chase","adp":1.5}]');
+    assert.notEqual((await buildDataVersion(dir)).adp_version, first.adp_version);
+  });
+  
+  test('keeps the update time while nothing changes', async () => {
+    const dir = makeDataDir();
+    const first = await writeDataVersion(dir);
+    const again = await buildDataVersion(dir, new Date('2030-01-01T00:00:00Z'));
+    
+    assert.equal(again.updated_at, first.updated_at);
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, 'version.json'), 'utf8')), first);
+  });
+});
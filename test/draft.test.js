@@ -0,0 +1,116 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_LEAGUE,
+  normalizeLeague,
+  roundCount,
+  teamForPick,
+  pickNumber,
+  pickLabel,
+  nextPickFor,
+  draftPicks,
+  nextOpenPick,
+  buildRoster,
+  draftResultsCsv
+} = require('../docs/js/draft');
+
+const player = (name, position, team = 'CIN') => ({ name, position, team });
+
+describe('normalizeLeague', () => {
+  test('fills in the default league', () => {
+    const league = normalizeLeague({ teams: 10, roster: { K: 0, DST: 0 } });
+    
+    assert.equal(league.slot, 1);
+    assert.equal(league.order, 'snake');
+    assert.equal(league.roster.RB, DEFAULT_LEAGUE.roster.RB);
+    assert.equal(roundCount(league), 13);
+  });
+  
+  test('lists every problem in one error', () => {
+    assert.throws(
+      () => normalizeLeague({ teams: 8, slot: 9, order: 'auction', roster: { IDP: 1 } }),
+      /Invalid league setup: slot must be a whole number from 1 to 8; order must be snake or linear; roster.IDP is not a roster slot/
+    );
+    assert.throws(() => normalizeLeague({ roster: Object.fromEntries(Object.keys(DEFAULT_LEAGUE.roster).map(slot => [slot, 0])) }), /at least one slot/);
+  });
+});
+
+describe('draft order', () => {
+  const snake = normalizeLeague({ teams: 4, slot: 3 });
+  const linear = normalizeLeague({ teams: 4, slot: 3, order: 'linear' });
+  
+  test('snake drafts reverse every other round', () => {
+    assert.deepEqual([1, 2, 3, 4, 5, 6, 7, 8, 9].map(pick => teamForPick(pick, snake)), [1, 2, 3, 4, 4, 3, 2, 1, 1]);
+    assert.deepEqual([4, 5, 8, 9].map(pick => teamForPick(pick, linear)), [4, 1, 4, 1]);
+    assert.equal(pickNumber(2, 1, snake), 8);
+    assert.equal(pickNumber(2, 1, linear), 5);
+  });
+  
+  test('labels picks by round and pick in the round', () => {
+    assert.equal(pickLabel(1, snake), '1.01');
+    assert.equal(pickLabel(7, snake), '2.03');
+  });
+  
+  test('counts the picks until a team is on the clock', () => {
+    assert.deepEqual(nextPickFor(3, 1, snake), { pick: 3, picksAway: 2 });
+    assert.deepEqual(nextPickFor(3, 3, snake), { pick: 3, picksAway: 0 });
+    assert.deepEqual(nextPickFor(3, 4, snake), { pick: 6, picksAway: 2 });
+    assert.deepEqual(nextPickFor(3, 4, linear), { pick: 7, picksAway: 3 });
+    assert.equal(nextPickFor(3, 4 * roundCount(snake) + 1, snake), null);
+  });
+});
+
+describe('draftPicks', () => {
+  const league = normalizeLeague({ teams: 4, slot: 3 });
+  
+  test('keeps stored picks and teams when an earlier pick is undone', () => {
+    const drafted = [
+      { ...player('First', 'WR'), draftPick: 1, draftTeam: 1 },
+      { ...player('Third', 'RB'), draftPick: 3, draftTeam: 3 },
+      { ...player('Fourth', 'QB'), draftPick: 4, draftTeam: 4 }
+    ];
+    const picks = draftPicks(drafted, league);
+    
+    assert.deepEqual(picks.map(pick => [pick.pick, pick.team]), [[1, 1], [3, 3], [4, 4]]);
+    assert.equal(nextOpenPick(picks), 2);
+    assert.deepEqual(draftPicks([...drafted, { ...player('Second', 'TE'), draftPick: 2, draftTeam: 2 }], league).map(pick => pick.player.name), ['First', 'Second', 'Third', 'Fourth']);
+  });
+  
+  test('numbers players without a stored pick by their place in the list', () => {
+    const picks = draftPicks([player('First', 'WR'), player('Second', 'RB')], league);
+    
+    assert.deepEqual(picks.map(pick => [pick.pick, pick.label, pick.team]), [[1, '1.01', 1], [2, '1.02', 2]]);
+    assert.equal(nextOpenPick(picks), 3);
+    assert.equal(nextOpenPick([]), 1);
+  });
+});
+
+describe('buildRoster', () => {
+  test('fills position slots, then FLEX, then the bench', () => {
+    const league = normalizeLeague({});
+    const { slots, needs } = buildRoster([
+      player('RB One', 'RB'), player('RB Two', 'RB'), player('RB Three', 'RB'), player('RB Four', 'RB'), player('QB One', 'QB')
+    ], league);
+    
+    assert.deepEqual(slots.RB.map(p => p.name), ['RB One', 'RB Two']);
+    assert.deepEqual(slots.FLEX.map(p => p.name), ['RB Three']);
+    assert.deepEqual(slots.BENCH.map(p => p.name), ['RB Four']);
+    assert.deepEqual(needs, [{ slot: 'WR', open: 2 }, { slot: 'TE', open: 1 }, { slot: 'K', open: 1 }, { slot: 'DST', open: 1 }]);
+  });
+});
+
+describe('draftResultsCsv', () => {
+  test('writes one row per pick with the team that made it', () => {
+    const league = normalizeLeague({ teams: 2, slot: 2 });
+    const picks = draftPicks([player("Ja'Marr Chase", 'WR'), player('Bijan Robinson', 'RB', 'ATL'), player('Smith, Jr.', 'TE', 'MIA')], league);
+    
+    assert.deepEqual(picks.map(pick => pick.team), [1, 2, 2]);
+    assert.equal(draftResultsCsv(picks, league), [
+      'Pick,Round,Overall,Team,Player,Position,NFL Team',
+      "1.01,1,1,Team 1,Ja'Marr Chase,WR,CIN",
+      '1.02,1,2,You,Bijan Robinson,RB,ATL',
+      '2.01,2,3,You,"Smith, Jr.",TE,MIA',
+      ''
+    ].join('\n'));
+  });
+});
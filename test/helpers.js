@@ -0,0 +1,49 @@
+const { mock } = require('node:test');
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Read a recorded page from test/fixtures
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+// Load a recorded page into cheerio, the same way the scrapers do
+function loadFixture(name) {
+  return cheerio.load(readFixture(name));
+}
+
+// Fake axios-style client: serves fixtures for matching URLs and 404s for everything else
+function createFixtureHttp(routes) {
+  const requested = [];
+  
+  return {
+    requested,
+    async get(url) {
+      requested.push(url);
+      
+      for (const [pattern, fixture] of Object.entries(routes)) {
+        if (url.includes(pattern)) {
+          return { status: 200, data: typeof fixture === 'string' ? readFixture(fixture) : fixture };
+        }
+      }
+      
+      const error = new Error(`Request failed with status code 404`);
+      error.response = { status: 404 };
+      throw error;
+    }
+  };
+}
+
+const noSleep = () => Promise.resolve();
+
+// Mute the scrapers' progress logging; the Node 20 test runner chokes on large amounts of it
+function silenceConsole() {
+  for (const method of ['log', 'error', 'warn']) {
+    mock.method(console, method, () => {});
+  }
+}
+
+module.exports = { FIXTURES_DIR, readFixture, loadFixture, createFixtureHttp, noSleep, silenceConsole };
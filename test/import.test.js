@@ -0,0 +1,119 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizePlayerName, detectDelimiter, parseDelimited, guessMapping, readImportRows, nameSimilarity, matchPlayers
+} = require('../docs/js/import');
+const { normalizePlayerName: scraperNormalize } = require('../Scrapers/lib');
+
+const known = [
+  { id: 'chase', name: "Ja'Marr Chase", position: 'WR', team: 'CIN' },
+  { id: 'jefferson', name: 'Justin Jefferson', position: 'WR', team: 'MIN' },
+  { id: 'walker', name: 'Kenneth Walker III', position: 'RB', team: 'SEA' },
+  { id: 'hollywood', name: 'Marquise Brown', position: 'WR', team: 'KC', aliases: ['Hollywood Brown'] },
+  { id: 'aj', name: 'A.J. Brown', position: 'WR', team: 'PHI' },
+  { id: 'josh-allen', name: 'Josh Allen', position: 'QB', team: 'BUF' },
+  { id: 'josh-allen-jax', name: 'Josh Allen', position: 'LB', team: 'JAC' }
+];
+
+describe('normalizePlayerName', () => {
+  test('matches the scrapers', () => {
+    ["Ja'Marr Chase", 'Kenneth Walker III', 'A.J. Brown', 'Amon-Ra St. Brown'].forEach(name => {
+      assert.equal(normalizePlayerName(name), scraperNormalize(name));
+    });
+  });
+});
+
+describe('parseDelimited', () => {
+  test('detects tabs, semicolons and commas', () => {
+    assert.equal(detectDelimiter('Rank\tPlayer\tTeam\n1\tChase\tCIN'), '\t');
+    assert.equal(detectDelimiter('Rank;Player\n1;Chase'), ';');
+    assert.equal(detectDelimiter('Rank,Player\n1,Chase'), ',');
+  });
+  
+  test('handles quoted cells and blank lines', () => {
+    const { rows } = parseDelimited('Player,Notes\r\n"Chase, Ja\'Marr","says ""elite""\nreally"\r\n\r\nJefferson, ok \n');
+    
+    assert.deepEqual(rows, [
+      ['Player', 'Notes'],
+      ["Chase, Ja'Marr", 'says "elite"\nreally'],
+      ['Jefferson', 'ok']
+    ]);
+  });
+});
+
+describe('guessMapping', () => {
+  test('recognizes other sites\' headers', () => {
+    assert.deepEqual(guessMapping(['RK', 'TIERS', 'PLAYER NAME', 'TEAM', 'POS', 'BEST']), {
+      rank: 0, name: 2, firstName: null, lastName: null, position: 4, team: 3, notes: null, risk: null
+    });
+    assert.deepEqual(guessMapping(['#', 'firstName', 'lastName', 'slotName']), {
+      rank: 0, name: null, firstName: 1, lastName: 2, position: 3, team: null, notes: null, risk: null
+    });
+  });
+});
+
+describe('readImportRows', () => {
+  test('builds names, cleans positions and teams and orders by rank', () => {
+    const rows = [
+      ['#', 'first', 'last', 'pos', 'team', 'risk'],
+      ['2', 'Justin', 'Jefferson', 'WR2', 'min', 'high'],
+      ['', '', '', 'WR', '', ''],
+      ['1', "Ja'Marr", 'Chase', 'WR1', 'CIN', 'medium'],
+      ['', 'Ravens', '', 'D/ST', 'BLT', '']
+    ];
+    const players = readImportRows(rows, guessMapping(rows[0]));
+    
+    assert.deepEqual(players.map(p => [p.line, p.name, p.position, p.team, p.risk]), [
+      [4, "Ja'Marr Chase", 'WR', 'CIN', 'Medium'],
+      [2, 'Justin Jefferson', 'WR', 'MIN', 'High'],
+      [5, 'Ravens', 'DST', 'BAL', null]
+    ]);
+  });
+  
+  test('leaves positions the site does not have empty', () => {
+    const rows = [['player', 'pos'], ['Fred Warner', 'LB'], ['Flex Guy', 'FLEX'], ['Two Way', 'WR/RB'], ['Bucky Irving', 'RB']];
+    
+    assert.deepEqual(readImportRows(rows, guessMapping(rows[0])).map(p => p.position), [null, null, null, 'RB']);
+  });
+});
+
+describe('nameSimilarity', () => {
+  test('scores initials and small typos close', () => {
+    assert.equal(nameSimilarity('j jefferson', 'justin jefferson'), 0.9);
+    assert.ok(nameSimilarity('jamarr chasse', 'jamarr chase') > 0.9);
+    assert.ok(nameSimilarity('josh allen', 'justin jefferson') < 0.5);
+  });
+});
+
+describe('matchPlayers', () => {
+  const match = rows => matchPlayers(rows, known).map(row => [row.how, row.match && row.match.id]);
+  
+  test('matches exact names, aliases and suffix-free names', () => {
+    assert.deepEqual(match([
+      { name: 'JaMarr Chase' },
+      { name: 'Hollywood Brown', position: 'WR' },
+      { name: 'Kenneth Walker', team: 'SEA' }
+    ]), [['exact', 'chase'], ['exact', 'hollywood'], ['exact', 'walker']]);
+  });
+  
+  test('uses position and team to pick between namesakes', () => {
+    assert.deepEqual(match([{ name: 'Josh Allen', position: 'QB' }, { name: 'Josh Allen', team: 'JAC' }]), [
+      ['exact', 'josh-allen'],
+      ['exact', 'josh-allen-jax']
+    ]);
+  });
+  
+  test('accepts a clear fuzzy match and leaves the rest for review with suggestions', () => {
+    const [typo, unknown, wrongPosition] = matchPlayers([
+      { name: 'Justin Jeffersen' },
+      { name: 'Zay Brown' },
+      { name: 'Justin Jefferson', position: 'TE' }
+    ], known);
+    
+    assert.equal(typo.how, 'fuzzy');
+    assert.equal(typo.match.id, 'jefferson');
+    assert.equal(unknown.match, null);
+    assert.deepEqual(unknown.suggestions.map(p => p.id).slice(0, 2), ['aj', 'hollywood']);
+    assert.equal(wrongPosition.match, null);
+  });
+});
@@ -0,0 +1,134 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  extractInjuryData,
+  extractPositionFromPage,
+  hasRecentActivity,
+  parseInjuryPage,
+  scrapePlayerInjuries,
+  mergeInjuryRecords,
+  injuryPlugin
+} = require('../Scrapers/injury-history-scraper');
+const { createCsvInjurySource } = require('../Scrapers/csv-source');
+const { normalizeInjury } = require('../Scrapers/injury-metrics');
+const { createContext } = require('../Scrapers/lib');
+const path = require('path');
+const { FIXTURES_DIR, loadFixture, createFixtureHttp, noSleep, silenceConsole } = require('./helpers');
+
+silenceConsole();
+
+describe('extractInjuryData', () => {
+  test('reads every injury row and skips the header row', () => {
+    const injuries = extractInjuryData(loadFixture('foxsports/jamarr-chase-player-injuries.html'));
+    
+    assert.equal(injuries.length, 9);
+    assert.deepEqual(injuries[0], {
+      season: 2024, week: 1, playoffs: false, injury: 'Rest',
+      category: 'rest', body_part: null, side: null, status: 'Questionable', status_level: 'questionable'
+    });
+    assert.deepEqual(injuries[2], {
+      season: 2023, week: 16, playoffs: false, injury: 'Shoulder',
+      category: 'injury', body_part: 'shoulder', side: null, status: 'Out', status_level: 'out'
+    });
+  });
+  
+  test('returns an empty list for players without injuries', () => {
+    assert.deepEqual(extractInjuryData(loadFixture('foxsports/josh-allen-2-player-injuries.html')), []);
+  });
+});
+
+describe('extractPositionFromPage', () => {
+  test('reads the long-form position from the player header', () => {
+    assert.equal(extractPositionFromPage(loadFixture('foxsports/jamarr-chase-player-injuries.html')), 'WR');
+    assert.equal(extractPositionFromPage(loadFixture('foxsports/christian-mccaffrey-player-injuries.html')), 'RB');
+    assert.equal(extractPositionFromPage(loadFixture('foxsports/josh-allen-2-player-injuries.html')), 'QB');
+  });
+  
+  test('returns null when no position is shown', () => {
+    assert.equal(extractPositionFromPage(loadFixture('foxsports/page-not-found.html')), null);
+  });
+});
+
+describe('hasRecentActivity', () => {
+  const injury = (season, description) => normalizeInjury({ season, week: '3', injury: description, status: 'Out' });
+  
+  test('looks for injuries this season or last', () => {
+    assert.equal(hasRecentActivity([], 2024), false);
+    assert.equal(hasRecentActivity([injury('2021', 'Knee')], 2024), false);
+    assert.equal(hasRecentActivity([injury('2021', 'Knee'), injury('2023', 'Ankle')], 2024), true);
+  });
+  
+  test('ignores rest days', () => {
+    assert.equal(hasRecentActivity([injury('2024', 'NIR - Rest')], 2024), false);
+  });
+});
+
+describe('parseInjuryPage', () => {
+  test('rejects error pages', () => {
+    assert.equal(parseInjuryPage(loadFixture('foxsports/page-not-found.html')), null);
+  });
+  
+  test('accepts player pages', () => {
+    assert.equal(parseInjuryPage(loadFixture('foxsports/christian-mccaffrey-player-injuries.html')).injuries.length, 8);
+  });
+});
+
+describe('scrapePlayerInjuries', () => {
+  test('tries URL variations until one is a real player page', async () => {
+    const http = createFixtureHttp({
+      'josh-allen-player-injuries': 'foxsports/page-not-found.html',
+      'josh-allen-2-player-injuries': 'foxsports/josh-allen-2-player-injuries.html'
+    });
+    const player = { name: 'Josh Allen', position: 'QB', team: 'BUF', adp: 30 };
+    
+    const result = await scrapePlayerInjuries(player, createContext([player], { http, sleep: noSleep }));
+    
+    assert.equal(result.url_used, 'josh-allen-2-player-injuries');
+    assert.equal(result.total_injuries, 0);
+    assert.equal(http.requested.length, 2);
+  });
+  
+  test('returns null when no variation works', async () => {
+    const player = { name: 'Nobody Special', position: 'WR', team: 'FA', adp: 999 };
+    const ctx = createContext([player], { http: createFixtureHttp({}), sleep: noSleep });
+    
+    assert.equal(await scrapePlayerInjuries(player, ctx), null);
+  });
+});
+
+describe('mergeInjuryRecords', () => {
+  const player = { player_id: 'jamarr-chase-wr', name: "Ja'Marr Chase", position: 'WR', team: 'CIN', adp: 1 };
+  
+  test('adds weeks only the later source has and keeps disagreements as conflicts', () => {
+    const row = (season, week, injury, status) => normalizeInjury({ season, week, injury, status });
+    const result = mergeInjuryRecords(player, [
+      { source: 'foxsports', record: { url_used: 'jamarr-chase-player-injuries', injuries: [row('2023', '16', 'Shoulder', 'Out')] } },
+      { source: 'csv:injuries.csv', record: { injuries: [
+        row('2023', '16', 'Shoulder', 'Questionable'),
+        row('2024', '1', 'Hamstring', 'Questionable')
+      ] } }
+    ]);
+    
+    assert.deepEqual(result.injuries.map(injury => `${injury.season}-${injury.week}:${injury.source}`), ['2024-1:csv:injuries.csv', '2023-16:foxsports']);
+    assert.deepEqual(result.injuries[1].conflicts, [
+      { key: 'status', kept: 'foxsports', values: { foxsports: 'Out', 'csv:injuries.csv': 'Questionable' } }
+    ]);
+    assert.equal(result.url_used, 'jamarr-chase-player-injuries');
+    assert.deepEqual(result.sources, ['foxsports', 'csv:injuries.csv']);
+    assert.equal(result.total_injuries, 2);
+  });
+  
+  test('the injury plugin merges a CSV source behind Fox Sports', async () => {
+    const http = createFixtureHttp({ 'jamarr-chase-player-injuries': 'foxsports/jamarr-chase-player-injuries.html' });
+    const sources = [...injuryPlugin.sources, createCsvInjurySource(path.join(FIXTURES_DIR, 'csv', 'injuries.csv'))];
+    const ctx = createContext([player], { http, sleep: noSleep, sources });
+    
+    const result = await injuryPlugin.scrapePlayer(player, ctx);
+    
+    // 2024 week 1 is already reported by Fox Sports (Rest), so only the 2019 row is new
+    assert.equal(result.total_injuries, 10);
+    assert.equal(result.injuries[0].conflicts[0].values['csv:injuries.csv'], 'Hamstring');
+    assert.equal(result.injuries[result.injuries.length - 1].source, 'csv:injuries.csv');
+    assert.ok(result.injuries.slice(0, -1).every(injury => injury.source === 'foxsports'));
+  });
+});
@@ -0,0 +1,77 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  classifyInjury,
+  statusLevel,
+  parseWeek,
+  normalizeInjury,
+  summarizeInjuries,
+  injuryRiskScore
+} = require('../Scrapers/injury-metrics');
+
+const report = (season, week, injury, status = 'Out') => normalizeInjury({ season: String(season), week: String(week), injury, status });
+
+describe('classifyInjury', () => {
+  test('maps Fox Sports spellings onto one body part', () => {
+    assert.deepEqual(classifyInjury('Right Shoulder'), { category: 'injury', body_part: 'shoulder', side: 'right' });
+    assert.equal(classifyInjury('Quadricep').body_part, 'quadriceps');
+    assert.equal(classifyInjury('Rib').body_part, 'ribs');
+    assert.equal(classifyInjury('Heel').body_part, 'foot');
+  });
+  
+  test('separates rest, illness and personal reports from injuries', () => {
+    assert.equal(classifyInjury('NIR - Rest').category, 'rest');
+    assert.equal(classifyInjury('Illness').category, 'illness');
+    assert.equal(classifyInjury('NIR - Personal').category, 'personal');
+    assert.equal(classifyInjury('Not Injury Related').category, 'non_injury');
+    assert.equal(classifyInjury('-').category, 'unknown');
+  });
+});
+
+describe('statusLevel and parseWeek', () => {
+  test('orders statuses by severity', () => {
+    assert.deepEqual(['Questionable', 'Doubtful', 'Out', 'Injured Reserve', 'None'].map(statusLevel),
+      ['questionable', 'doubtful', 'out', 'ir', 'none']);
+  });
+  
+  test('numbers playoff rounds after the regular season', () => {
+    assert.deepEqual(parseWeek('17'), { week: 17, playoffs: false });
+    assert.deepEqual(parseWeek('WC'), { week: 19, playoffs: true });
+  });
+});
+
+describe('summarizeInjuries', () => {
+  test('counts games missed per season and groups consecutive weeks into episodes', () => {
+    const summary = summarizeInjuries([
+      report(2024, 5, 'Hamstring'),
+      report(2024, 6, 'Hamstring'),
+      report(2024, 7, 'Hamstring', 'Questionable'),
+      report(2024, 8, 'NIR - Rest'),
+      report(2022, 10, 'Hamstring', 'Questionable'),
+      report(2022, 12, 'Knee')
+    ], 2024);
+    
+    assert.deepEqual(summary.seasons, {
+      2022: { reports: 2, injury_reports: 2, games_missed: 1 },
+      2024: { reports: 4, injury_reports: 3, games_missed: 2 }
+    });
+    assert.deepEqual(summary.body_parts.hamstring, { episodes: 2, region: 'lower_body', seasons: [2022, 2024] });
+    assert.deepEqual(summary.recurring_body_parts, ['hamstring']);
+  });
+  
+  test('recent injuries count more than old ones', () => {
+    const recent = [report(2024, 1, 'Knee'), report(2024, 2, 'Knee')];
+    const old = [report(2019, 1, 'Knee'), report(2019, 2, 'Knee')];
+    
+    assert.ok(injuryRiskScore(recent, 2024) > injuryRiskScore(old, 2024));
+    assert.equal(injuryRiskScore([report(2024, 1, 'Rest')], 2024), 0);
+  });
+  
+  test('a long career of minor reports does not outweigh one recent serious injury', () => {
+    const veteran = [2016, 2017, 2018, 2019, 2020, 2021].flatMap(season => [report(season, 3, 'Ankle', 'Questionable'), report(season, 9, 'Knee', 'Questionable')]);
+    const injured = [5, 6, 7, 8, 9, 10].map(week => report(2024, week, 'Knee', 'Injured Reserve'));
+    
+    assert.ok(veteran.length > injured.length);
+    assert.ok(injuryRiskScore(injured, 2024) > injuryRiskScore(veteran, 2024));
+  });
+});
@@ -0,0 +1,86 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  createRng, startMockDraft, teamOnClock, makePick, runCpuPicks, simulateDraft, availabilityOdds, gradeTeams
+} = require('../docs/js/mock');
+const { normalizeLeague } = require('../docs/js/draft');
+
+// Two teams, three rounds: QB, RB and one bench spot
+const league = normalizeLeague({ teams: 2, roster: { QB: 1, RB: 1, WR: 0, TE: 0, FLEX: 0, K: 0, DST: 0, BENCH: 1 } });
+
+const pool = [
+  ...[1, 2, 3, 4, 5, 6].map(adp => ({ id: `qb${adp}`, position: 'QB', adp, points: 400 - adp * 10 })),
+  ...[20, 21, 22].map(adp => ({ id: `rb${adp}`, position: 'RB', adp, points: 300 - adp }))
+];
+
+const ids = draft => draft.picks.map(pick => pick.player.id);
+
+describe('createRng', () => {
+  test('repeats its sequence for a seed', () => {
+    const a = createRng(42);
+    const b = createRng(42);
+    
+    assert.deepEqual([a(), a(), a()], [b(), b(), b()]);
+    assert.notEqual(createRng(1)(), createRng(2)());
+  });
+});
+
+describe('makePick', () => {
+  test('gives the player to the team on the clock and rejects unavailable players', () => {
+    const draft = startMockDraft(pool, league);
+    
+    assert.equal(teamOnClock(draft), 1);
+    assert.deepEqual(makePick(draft, 'rb21'), { pick: 1, team: 1, player: pool[7] });
+    assert.equal(teamOnClock(draft), 2);
+    assert.throws(() => makePick(draft, 'rb21'), /Player rb21 is not available/);
+  });
+});
+
+describe('runCpuPicks', () => {
+  test('follows ADP, caps positions and fills open starters with the last picks', () => {
+    const draft = simulateDraft(pool, league, { randomness: 0 });
+    
+    // Each team takes a second QB, then the cap and the open RB spot force a RB
+    assert.deepEqual(ids(draft), ['qb1', 'qb2', 'qb3', 'qb4', 'rb20', 'rb21']);
+    assert.equal(teamOnClock(draft), null);
+    assert.throws(() => makePick(draft, 'qb5'), /Mock draft is complete/);
+  });
+  
+  test('stops when the user is on the clock', () => {
+    const draft = startMockDraft(pool, league);
+    makePick(draft, 'rb22');
+    
+    assert.equal(runCpuPicks(draft, { randomness: 0 }).length, 2);
+    assert.equal(teamOnClock(draft), 1);
+  });
+  
+  test('is repeatable with a seeded generator', () => {
+    const run = () => ids(simulateDraft(pool, league, { randomness: 1, rng: createRng(7) }));
+    
+    assert.deepEqual(run(), run());
+  });
+});
+
+describe('availabilityOdds', () => {
+  test('counts how often each player lasts to each of our picks', () => {
+    const { picks, odds } = availabilityOdds(pool, league, { simulations: 20, randomness: 0 });
+    
+    assert.deepEqual(picks, [1, 4, 5]);
+    assert.deepEqual(odds.qb1, [1, 0, 0]);
+    assert.deepEqual(odds.qb4, [1, 1, 0]);
+    assert.deepEqual(odds.rb22, [1, 1, 1]);
+  });
+});
+
+describe('gradeTeams', () => {
+  test('grades teams against the league average', () => {
+    const draft = startMockDraft(pool, league);
+    ['qb1', 'qb6', 'qb5', 'rb20', 'qb2', 'qb4'].forEach(id => makePick(draft, id));
+    
+    // Team 1: qb1 390 + rb20 280 + a tenth of qb2; team 2: qb6 340 + a tenth of qb5 and qb4
+    assert.deepEqual(gradeTeams(draft), [
+      { team: 1, score: 708, grade: 'A' },
+      { team: 2, score: 411, grade: 'C' }
+    ]);
+  });
+});
@@ -0,0 +1,60 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { chanceGoneBy, slotFilled, recommendPicks } = require('../docs/js/recommend');
+
+const needs = [{ slot: 'RB', open: 1 }, { slot: 'FLEX', open: 1 }];
+
+describe('chanceGoneBy', () => {
+  test('grows as the pick moves past the ADP', () => {
+    assert.ok(chanceGoneBy(30, 20) < 0.05);
+    assert.ok(Math.abs(chanceGoneBy(30, 30.5) - 0.5) < 0.01);
+    assert.ok(chanceGoneBy(30, 45) > 0.95);
+    assert.equal(chanceGoneBy(undefined, 45), 0.5);
+  });
+  
+  test('only counts picks after the player was last seen', () => {
+    assert.ok(chanceGoneBy(30, 35, 30) < chanceGoneBy(30, 35));
+  });
+});
+
+describe('slotFilled', () => {
+  test('prefers an open position slot, then FLEX, then the bench', () => {
+    assert.equal(slotFilled('RB', needs), 'starter');
+    assert.equal(slotFilled('WR', needs), 'flex');
+    assert.equal(slotFilled('QB', needs), 'bench');
+  });
+});
+
+describe('recommendPicks', () => {
+  const context = { currentPick: 20, targetPick: 20, followingPick: 29, needs };
+  
+  test('weighs board order against roster needs and explains each pick', () => {
+    const picks = recommendPicks([
+      { id: 'qb', position: 'QB', adp: 22, vorp: 40, tier: 1 },
+      { id: 'rb', position: 'RB', adp: 24, vorp: 60, tier: 2 },
+      { id: 'wr', position: 'WR', adp: 60, vorp: 20, tier: 3 },
+      { id: 'wr2', position: 'WR', adp: 62, vorp: 18, tier: 3 },
+      { id: 'qb2', position: 'QB', adp: 80, vorp: 10, tier: 1 }
+    ], context);
+    
+    assert.deepEqual(picks.map(pick => pick.id), ['rb', 'qb', 'wr']);
+    assert.deepEqual(picks[0].reasons, [
+      '#2 on your board',
+      'Likely gone before your next pick at 29 (ADP 24)',
+      'Last RB left in tier 2',
+      'Fills an open RB spot',
+      'Best VORP available (60)'
+    ]);
+    assert.ok(picks[2].reasons.includes('Likely still there at pick 29 (ADP 60)'));
+  });
+  
+  test('discounts players unlikely to last until our pick', () => {
+    const picks = recommendPicks([
+      { id: 'early', position: 'RB', adp: 12, tier: 1 },
+      { id: 'later', position: 'RB', adp: 40, tier: 2 }
+    ], { ...context, currentPick: 12, targetPick: 20 }, { count: 2 });
+    
+    assert.deepEqual(picks.map(pick => pick.id), ['later', 'early']);
+    assert.ok(picks[1].reasons.includes('May not last to your pick at 20 (ADP 12)'));
+  });
+});
@@ -0,0 +1,70 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizePlayerName,
+  createEmptyRegistry,
+  findPlayer,
+  resolvePlayer,
+  recordSourceSlug
+} = require('../Scrapers/lib');
+
+describe('normalizePlayerName', () => {
+  test('ignores case, punctuation and generational suffixes', () => {
+    assert.equal(normalizePlayerName('Marvin Harrison Jr.'), 'marvin harrison');
+    assert.equal(normalizePlayerName("Ja'Marr Chase"), 'jamarr chase');
+    assert.equal(normalizePlayerName('Kenneth Walker III'), 'kenneth walker');
+    assert.equal(normalizePlayerName('Ray-Ray McCloud III'), 'ray ray mccloud');
+  });
+});
+
+describe('resolvePlayer', () => {
+  test('gives new players an id built from name and position', () => {
+    const registry = createEmptyRegistry();
+    const entry = resolvePlayer(registry, { name: 'Marvin Harrison Jr.', position: 'WR', team: 'ARI' });
+    
+    assert.equal(entry.id, 'marvin-harrison-wr');
+    assert.equal(registry.players['marvin-harrison-wr'], entry);
+  });
+  
+  test('keeps the same id across suffix changes and trades', () => {
+    const registry = createEmptyRegistry();
+    const original = resolvePlayer(registry, { name: 'Deebo Samuel', position: 'WR', team: 'SF' });
+    const later = resolvePlayer(registry, { name: 'Deebo Samuel Sr.', position: 'WR', team: 'WAS' });
+    
+    assert.equal(later.id, original.id);
+    assert.equal(later.team, 'WAS');
+    assert.deepEqual(later.teams, ['SF', 'WAS']);
+    assert.deepEqual(later.team_history.map(entry => entry.team), ['SF', 'WAS']);
+    assert.deepEqual(later.aliases, ['Deebo Samuel Sr.']);
+  });
+  
+  test('keeps players who share a name apart by position', () => {
+    const registry = createEmptyRegistry();
+    const qb = resolvePlayer(registry, { name: 'Josh Allen', position: 'QB', team: 'BUF' });
+    const lb = resolvePlayer(registry, { name: 'Josh Allen', position: 'LB', team: 'JAX' });
+    
+    assert.notEqual(qb.id, lb.id);
+    assert.equal(findPlayer(registry, { name: 'Josh Allen', position: 'QB' }).id, qb.id);
+    assert.equal(findPlayer(registry, { name: 'Josh Allen', position: 'LB' }).id, lb.id);
+  });
+  
+  test('uses team to separate players who share a name and position', () => {
+    const registry = createEmptyRegistry();
+    const first = resolvePlayer(registry, { name: 'Mike Williams', position: 'WR', team: 'PIT' });
+    registry.players['mike-williams-wr-2'] = { ...first, id: 'mike-williams-wr-2', team: 'NYJ', aliases: [], teams: ['NYJ'] };
+    
+    assert.equal(findPlayer(registry, { name: 'Mike Williams', position: 'WR', team: 'NYJ' }).id, 'mike-williams-wr-2');
+    assert.equal(findPlayer(registry, { name: 'Mike Williams', position: 'WR', team: 'PIT' }).id, 'mike-williams-wr');
+  });
+});
+
+describe('recordSourceSlug', () => {
+  test('stores the working slug for a source site', () => {
+    const registry = createEmptyRegistry();
+    const entry = resolvePlayer(registry, { name: 'Josh Allen', position: 'QB', team: 'BUF' });
+    
+    recordSourceSlug(registry, entry.id, 'fantasypros', 'josh-allen-qb');
+    
+    assert.equal(entry.fantasypros_slug, 'josh-allen-qb');
+  });
+});
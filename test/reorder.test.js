@@ -0,0 +1,48 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { movePlayers, stepTarget, selectRange } = require('../docs/js/reorder');
+
+const players = ['rb1', 'wr1', 'rb2', 'wr2', 'rb3', 'wr3'].map(id => ({ id, position: id.slice(0, 2).toUpperCase() }));
+const ids = list => list.map(p => p.id);
+const all = new Set(ids(players));
+
+describe('movePlayers', () => {
+  test('moves a selection as a block in board order', () => {
+    assert.deepEqual(ids(movePlayers(players, new Set(['wr3', 'rb2']), 0)), ['rb2', 'wr3', 'rb1', 'wr1', 'wr2', 'rb3']);
+    assert.deepEqual(ids(movePlayers(players, new Set(['rb1']), 99)), ['wr1', 'rb2', 'wr2', 'rb3', 'wr3', 'rb1']);
+  });
+});
+
+describe('stepTarget', () => {
+  const step = (selected, visible, steps) => {
+    const target = stepTarget(players, new Set(selected), visible, steps);
+    return target === null ? null : ids(movePlayers(players, new Set(selected), target));
+  };
+  
+  test('moves past one player at a time and stops at the ends', () => {
+    assert.deepEqual(step(['rb2'], all, -1), ['rb1', 'rb2', 'wr1', 'wr2', 'rb3', 'wr3']);
+    assert.deepEqual(step(['rb2'], all, 1), ['rb1', 'wr1', 'wr2', 'rb2', 'rb3', 'wr3']);
+    assert.deepEqual(step(['wr2'], all, -10), ['wr2', 'rb1', 'wr1', 'rb2', 'rb3', 'wr3']);
+    assert.equal(step(['rb1'], all, -1), null);
+    assert.equal(step(['wr3'], all, 1), null);
+  });
+  
+  test('counts only the players on screen', () => {
+    const receivers = new Set(['wr1', 'wr2', 'wr3']);
+    
+    assert.deepEqual(step(['wr3'], receivers, -1), ['rb1', 'wr1', 'rb2', 'wr3', 'wr2', 'rb3']);
+    assert.deepEqual(step(['wr1'], receivers, 1), ['rb1', 'rb2', 'wr2', 'wr1', 'rb3', 'wr3']);
+  });
+  
+  test('moves a split selection past the player below it', () => {
+    assert.deepEqual(step(['wr1', 'wr2'], all, 1), ['rb1', 'rb2', 'rb3', 'wr1', 'wr2', 'wr3']);
+  });
+});
+
+describe('selectRange', () => {
+  test('selects from the anchor to the focused player either way', () => {
+    assert.deepEqual(selectRange(ids(players), 'rb2', 'rb3'), ['rb2', 'wr2', 'rb3']);
+    assert.deepEqual(selectRange(ids(players), 'rb3', 'wr1'), ['wr1', 'rb2', 'wr2', 'rb3']);
+    assert.deepEqual(selectRange(ids(players), 'gone', 'wr1'), ['wr1']);
+  });
+});
@@ -0,0 +1,150 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  volatilityFactor,
+  experienceFactor,
+  teamChangeFactor,
+  scorePlayerRisk,
+  applySuggestedRisk,
+  updateSuggestedRisk
+} = require('../Scrapers/risk-score');
+const { createEmptyRegistry, resolvePlayer, assertValid } = require('../Scrapers/lib');
+const { normalizeInjury, summarizeInjuries } = require('../Scrapers/injury-metrics');
+const { silenceConsole } = require('./helpers');
+
+silenceConsole();
+
+const statsRecord = (points, extra = {}) => ({
+  seasons: Object.fromEntries(points.map((fantasyPoints, i) => [2024 - i, { year: 2024 - i, fantasy_points: fantasyPoints }])),
+  is_likely_rookie: points.length === 0,
+  ...extra
+});
+
+const injuryRecord = (rows, currentSeason = 2024) => {
+  const injuries = rows.map(([season, week, injury, status]) => normalizeInjury({ season, week, injury, status }));
+  return { injuries, injury_summary: summarizeInjuries(injuries, currentSeason) };
+};
+
+const consensusPlayer = (name, team, position = 'WR') => ({
+  id: `adp_${name.length}`, name, team, position, overallRank: 1, positionRank: 1, adp: 1, risk: 'Medium', notes: ''
+});
+
+describe('risk factors', () => {
+  test('volatility grows with the season-to-season spread in fantasy points', () => {
+    const steady = volatilityFactor(statsRecord([250, 240, 255, 245]));
+    const swinging = volatilityFactor(statsRecord([320, 40, 280, 60]));
+    
+    assert.ok(steady.score < 10);
+    assert.equal(swinging.score, 100);
+    assert.equal(volatilityFactor(statsRecord([200])).score, null);
+  });
+  
+  test('experience scores rookies highest and veterans zero', () => {
+    assert.equal(experienceFactor(statsRecord([])).score, 100);
+    assert.equal(experienceFactor(statsRecord([150])).score, 60);
+    assert.equal(experienceFactor(statsRecord([150, 140, 130, 120])).score, 0);
+    assert.equal(experienceFactor(null).score, null);
+  });
+  
+  test('team change comes from the registry team history', () => {
+    const entry = { team: 'PHI', teams: ['NYG', 'PHI'], team_history: [{ team: 'NYG', since: '2023-06-01' }, { team: 'PHI', since: '2024-03-13' }] };
+    const summer2024 = new Date('2024-07-01');
+    
+    assert.deepEqual(teamChangeFactor({ team: 'PHI' }, entry, summer2024), { score: 100, detail: 'Joined PHI from NYG' });
+    assert.equal(teamChangeFactor({ team: 'PHI' }, entry, new Date('2025-01-05')).score, 100);
+    assert.equal(teamChangeFactor({ team: 'CIN' }, { team: 'CIN', teams: ['CIN'], team_history: [{ team: 'CIN', since: '2023-06-01' }] }, summer2024).score, 0);
+    assert.equal(teamChangeFactor({ team: 'CIN' }, { team: 'CIN', teams: ['CIN'] }, summer2024).score, 0);
+    assert.equal(teamChangeFactor({ team: 'CIN' }, null).score, null);
+  });
+  
+  test('a move seasons ago no longer counts, nor does a return to last season\'s team', () => {
+    const moved = { team: 'PHI', teams: ['NYG', 'PHI'], team_history: [{ team: 'NYG', since: '2023-06-01' }, { team: 'PHI', since: '2024-03-13' }] };
+    const returned = { team: 'NYG', teams: ['NYG', 'PHI'], team_history: [...moved.team_history, { team: 'NYG', since: '2025-03-20' }] };
+    
+    assert.deepEqual(teamChangeFactor({ team: 'PHI' }, moved, new Date('2025-07-01')), { score: 0, detail: 'No change from PHI' });
+    assert.deepEqual(teamChangeFactor({ team: 'NYG' }, returned, new Date('2025-07-01')), { score: 100, detail: 'Joined NYG from PHI' });
+    assert.equal(teamChangeFactor({ team: 'NYG' }, returned, new Date('2026-07-01')).score, 0);
+  });
+});
+
+describe('scorePlayerRisk', () => {
+  test('combines the factors into a tier with a breakdown', () => {
+    const risk = scorePlayerRisk({ team: 'PHI' }, {
+      injuryRecord: injuryRecord([['2024', '5', 'Knee', 'Injured Reserve'], ['2024', '6', 'Knee', 'Injured Reserve'], ['2023', '9', 'Knee', 'Out']]),
+      statsRecord: statsRecord([320, 40, 280, 60]),
+      registryEntry: { team: 'PHI', teams: ['NYG', 'PHI'], team_history: [{ team: 'NYG', since: '2023-06-01' }, { team: 'PHI', since: '2024-03-13' }] },
+      currentSeason: 2024,
+      today: new Date('2024-07-01')
+    });
+    
+    assert.equal(risk.tier, 'High');
+    assert.deepEqual(risk.factors.map(factor => factor.factor), ['injury', 'volatility', 'experience', 'team_change']);
+    assert.ok(risk.factors.every(factor => typeof factor.detail === 'string'));
+  });
+  
+  test('leaves factors without data out of the score', () => {
+    const risk = scorePlayerRisk({ team: 'CIN' }, {
+      statsRecord: statsRecord([250, 240, 255, 245]),
+      registryEntry: { team: 'CIN', teams: ['CIN'] },
+      currentSeason: 2024
+    });
+    
+    assert.equal(risk.tier, 'Low');
+    assert.equal(risk.factors.find(factor => factor.factor === 'injury').score, null);
+    assert.equal(scorePlayerRisk({ team: 'CIN' }, { currentSeason: 2024 }), null);
+  });
+});
+
+describe('applySuggestedRisk', () => {
+  test('joins players through the registry and keeps the user risk flag', () => {
+    const registry = createEmptyRegistry();
+    const chase = resolvePlayer(registry, { name: "Ja'Marr Chase", position: 'WR', team: 'CIN' });
+    const players = [consensusPlayer("Ja'Marr Chase", 'CIN'), consensusPlayer('Unknown Receiver', 'NYJ')];
+    
+    const scored = applySuggestedRisk(players, {
+      registry,
+      stats: { [chase.id]: statsRecord([223.6, 155.4, 162.7, 276]) },
+      injuries: {},
+      currentSeason: 2024
+    });
+    
+    assert.equal(scored[0].risk, 'Medium');
+    assert.deepEqual(Object.keys(scored[0].suggested_risk), ['tier', 'score']);
+    assert.ok(['Low', 'Medium', 'High'].includes(scored[0].suggested_risk.tier));
+    assert.equal(scored[1].suggested_risk, undefined);
+    assertValid('expert-consensus', scored);
+  });
+});
+
+describe('updateSuggestedRisk', () => {
+  test('scores every consensus file and publishes it, and the breakdowns by id, to docs', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'risk-'));
+    const consensusDir = path.join(dir, 'consensus');
+    const docsDir = path.join(dir, 'docs');
+    const registryPath = path.join(dir, 'registry.json');
+    const statsPath = path.join(dir, 'stats.json');
+    const formats = [{ format: 'ppr', file: 'PPR.json', label: 'PPR' }];
+    
+    const registry = createEmptyRegistry();
+    const chase = resolvePlayer(registry, { name: "Ja'Marr Chase", position: 'WR', team: 'CIN' });
+    fs.mkdirSync(consensusDir);
+    fs.writeFileSync(registryPath, JSON.stringify(registry));
+    fs.writeFileSync(statsPath, JSON.stringify({ current_nfl_season: 2024, data: { [chase.id]: statsRecord([223.6, 155.4]) } }));
+    fs.writeFileSync(path.join(consensusDir, 'PPR.json'), JSON.stringify([consensusPlayer("Ja'Marr Chase", 'CIN')]));
+    
+    const riskFactorsPath = path.join(dir, 'risk', 'risk-factors.json');
+    
+    await updateSuggestedRisk({ formats, consensusDir, docsDir, registryPath, statsPath, riskFactorsPath, injuryPath: path.join(dir, 'missing.json') });
+    
+    const consensus = JSON.parse(fs.readFileSync(path.join(consensusDir, 'PPR.json'), 'utf8'));
+    assert.equal(consensus[0].suggested_risk.factors, undefined);
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(docsDir, 'PPR.json'), 'utf8')), consensus);
+    
+    const breakdowns = JSON.parse(fs.readFileSync(riskFactorsPath, 'utf8'));
+    assert.deepEqual(breakdowns.players[chase.id].map(factor => factor.factor), ['injury', 'volatility', 'experience', 'team_change']);
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(docsDir, 'risk-factors.json'), 'utf8')), breakdowns);
+  });
+});
@@ -0,0 +1,106 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  validateSchema,
+  loadSchema,
+  assertValid,
+  diffData,
+  findDegradation,
+  formatDiffReport,
+  writeCheckedOutput,
+  createEmptyRegistry,
+  runScraper
+} = require('../Scrapers/lib');
+const { weeklyStatsPlugin } = require('../Scrapers/stats-scraper');
+const { DATA_FILES, checkDataFiles } = require('../Scrapers/check-data');
+const { createFixtureHttp, noSleep, silenceConsole } = require('./helpers');
+
+silenceConsole();
+
+const consensusPlayer = (name, adp, position = 'WR') => ({
+  id: `adp_${adp}`, name, team: 'CIN', position, overallRank: 1, positionRank: 1, adp, risk: 'Medium', notes: ''
+});
+
+describe('validateSchema', () => {
+  test('reports the path of every problem', () => {
+    const errors = validateSchema(loadSchema('expert-consensus'), [
+      consensusPlayer("Ja'Marr Chase", 1),
+      { ...consensusPlayer('Bijan Robinson', 2), adp: '2', risk: 'Extreme' }
+    ]);
+    
+    assert.deepEqual(errors, [
+      '$[1].adp: expected number, got string',
+      '$[1].risk: "Extreme" is not one of "Low", "Medium", "High"'
+    ]);
+  });
+  
+  test('rejects null where the ADP workflow used to write it', () => {
+    assert.throws(() => assertValid('expert-consensus', null), /expected array, got null/);
+  });
+  
+  test('every committed data file matches its schema', async () => {
+    assert.deepEqual(await checkDataFiles(DATA_FILES), []);
+  });
+  
+  test('weekly scraper output matches its schema', async () => {
+    const http = createFixtureHttp({ 'bijan-robinson.php': 'fantasypros/bijan-robinson-2024.html' });
+    const players = [{ name: 'Bijan Robinson', position: 'RB', team: 'ATL', adp: 3 }];
+    
+    const result = await runScraper(weeklyStatsPlugin, { http, players, registry: createEmptyRegistry(), sleep: noSleep, write: false });
+    
+    assert.deepEqual(validateSchema(loadSchema('player-weekly-stats'), result), []);
+  });
+});
+
+describe('diffData', () => {
+  test('lists added and dropped players and big ADP moves in consensus files', () => {
+    const report = diffData(
+      [consensusPlayer("Ja'Marr Chase", 1), consensusPlayer('Puka Nacua', 20), consensusPlayer('Old Timer', 90)],
+      [consensusPlayer("Ja'Marr Chase", 2), consensusPlayer('Puka Nacua', 6), consensusPlayer('New Guy', 80)]
+    );
+    
+    assert.deepEqual(report.added, ['New Guy']);
+    assert.deepEqual(report.dropped, ['Old Timer']);
+    assert.deepEqual(report.adp_moves, [{ name: 'Puka Nacua', from: 20, to: 6, change: -14 }]);
+    assert.match(formatDiffReport(report, 'PPR'), /Puka Nacua: 20 → 6 \(-14\)/);
+  });
+  
+  test('lists injuries that were not in the previous file', () => {
+    const old = { season: '2023', week: '16', injury: 'Shoulder', status: 'Out' };
+    const fresh = { season: '2024', week: '1', injury: 'Hamstring', status: 'Questionable' };
+    const report = diffData(
+      { data: { 'jamarr-chase-wr': { name: "Ja'Marr Chase", injuries: [old] } } },
+      { data: { 'jamarr-chase-wr': { name: "Ja'Marr Chase", injuries: [fresh, old] } } }
+    );
+    
+    assert.deepEqual(report.new_injuries, [{ name: "Ja'Marr Chase", injuries: [fresh] }]);
+  });
+});
+
+describe('findDegradation', () => {
+  test('flags runs where far fewer players parsed', () => {
+    const previous = { total_players: 250, stats: { successful: 250 } };
+    
+    assert.equal(findDegradation(previous, { total_players: 245, stats: { successful: 245 } }), null);
+    assert.match(findDegradation(previous, { total_players: 120, stats: { successful: 120 } }), /only 120 players/);
+    assert.match(findDegradation([1, 2, 3, 4, 5], [1]), /only 1 players, previously 5/);
+  });
+  
+  test('writeCheckedOutput keeps the old file when the new run is degraded', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'checked-'));
+    const outputPath = path.join(dir, 'PPR.json');
+    const good = Array.from({ length: 10 }, (_, i) => consensusPlayer(`Player ${i}`, i + 1));
+    fs.writeFileSync(outputPath, JSON.stringify(good));
+    
+    await assert.rejects(writeCheckedOutput(outputPath, good.slice(0, 3), { schema: 'expert-consensus' }), /Refusing to overwrite/);
+    assert.equal(JSON.parse(fs.readFileSync(outputPath, 'utf8')).length, 10);
+    
+    await writeCheckedOutput(outputPath, good.slice(0, 3), { schema: 'expert-consensus', force: true });
+    assert.equal(JSON.parse(fs.readFileSync(outputPath, 'utf8')).length, 3);
+    
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
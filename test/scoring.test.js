@@ -0,0 +1,101 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  SCORING_PRESETS,
+  EXAMPLE_RULES,
+  normalizeRules,
+  calculatePoints,
+  unavailableStats,
+  calculateSeasons
+} = require('../docs/js/scoring');
+const { writeCustomScoring } = require('../Scrapers/custom-scoring');
+const { silenceConsole } = require('./helpers');
+
+silenceConsole();
+
+// Ja'Marr Chase 2024 from player-stats.json; FantasyPros reported 276 points
+const chase2024 = { year: 2024, rec: 127, rec_tgt: 175, rec_yds: 1708, rec_td: 17, rush_att: 3, rush_yds: 32, rush_td: 0, fum: 0, fuml: 0, fantasy_points: 276 };
+const allen2024 = { year: 2024, pass_cmp: 307, pass_att: 483, pass_yds: 3731, pass_td: 28, pass_int: 6, rush_att: 102, rush_yds: 531, rush_td: 12, fum: 5, fuml: 2 };
+
+describe('normalizeRules', () => {
+  test('fills in the base preset under the overrides', () => {
+    const rules = normalizeRules({ base: 'ppr', points: { pass_td: 6 } });
+    
+    assert.equal(rules.name, 'Custom');
+    assert.equal(rules.points.rec, 1);
+    assert.equal(rules.points.pass_td, 6);
+    assert.deepEqual(rules.positions, {});
+    assert.deepEqual(normalizeRules({}).points, SCORING_PRESETS.standard.points);
+  });
+  
+  test('lists every problem in one error', () => {
+    assert.throws(
+      () => normalizeRules({ base: 'superflex', points: { passing_tds: 6, rec: 'one' }, positions: { LB: { tackles: 1 } } }),
+      /base must be one of ppr, half, standard|passing_tds is not a known stat.*rec must be a number.*LB is not a known position/
+    );
+    assert.throws(() => normalizeRules([]), /must be a JSON object/);
+  });
+  
+  test('keeps the name to a short line of plain text', () => {
+    assert.equal(normalizeRules({ name: '  <img src=x onerror=alert(1)>League\n' }).name, 'img src=x onerror=alert(1)League');
+    assert.equal(normalizeRules({ name: '<>' }).name, 'Custom');
+    assert.equal(normalizeRules({ name: 'x'.repeat(100) }).name.length, 40);
+  });
+  
+  test('accepts the example rules', () => {
+    assert.equal(normalizeRules(EXAMPLE_RULES).positions.TE.rec, 1.5);
+  });
+});
+
+describe('calculatePoints', () => {
+  test('standard scoring reproduces the FantasyPros total', () => {
+    assert.equal(calculatePoints(chase2024, normalizeRules({ base: 'standard' }), 'WR'), chase2024.fantasy_points);
+  });
+  
+  test('PPR and half PPR add points per reception', () => {
+    assert.equal(calculatePoints(chase2024, normalizeRules({ base: 'ppr' }), 'WR'), 403);
+    assert.equal(calculatePoints(chase2024, normalizeRules({ base: 'half' }), 'WR'), 339.5);
+  });
+  
+  test('position overrides replace the league value', () => {
+    const rules = normalizeRules({ base: 'ppr', positions: { TE: { rec: 1.5 } } });
+    
+    assert.equal(calculatePoints({ rec: 10 }, rules, 'TE'), 15);
+    assert.equal(calculatePoints({ rec: 10 }, rules, 'WR'), 10);
+  });
+  
+  test('6-point passing TDs and per-carry points', () => {
+    assert.equal(calculatePoints(allen2024, normalizeRules({}), 'QB'), 370.34);
+    assert.equal(calculatePoints(allen2024, normalizeRules({ points: { pass_td: 6, rush_att: 0.1 } }), 'QB'), 436.54);
+  });
+});
+
+describe('unavailableStats', () => {
+  test('names scored stats that no stat line has', () => {
+    assert.deepEqual(unavailableStats([chase2024, allen2024], normalizeRules(EXAMPLE_RULES)), ['pass_1d', 'rec_1d', 'rush_1d']);
+    assert.deepEqual(unavailableStats([allen2024, { ...chase2024, rec_1d: 80 }], normalizeRules({ points: { rec_1d: 0.5 } })), []);
+  });
+});
+
+describe('writeCustomScoring', () => {
+  test('recomputes every season of every player', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scoring-'));
+    const rulesPath = path.join(dir, 'rules.json');
+    const statsPath = path.join(dir, 'stats.json');
+    const outputPath = path.join(dir, 'custom.json');
+    fs.writeFileSync(rulesPath, JSON.stringify({ name: 'Test League', base: 'ppr' }));
+    fs.writeFileSync(statsPath, JSON.stringify({
+      data: { 'jamarr-chase-wr': { name: "Ja'Marr Chase", position: 'WR', team: 'CIN', seasons: { 2024: chase2024 } } }
+    }));
+    
+    await writeCustomScoring({ rulesPath, statsPath, outputPath });
+    
+    const output = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+    assert.equal(output.rules.name, 'Test League');
+    assert.deepEqual(output.players['jamarr-chase-wr'].seasons, { 2024: 403 });
+    assert.deepEqual(calculateSeasons({ position: 'WR', seasons: { 2024: chase2024 } }, normalizeRules({})), { 2024: 276 });
+  });
+});
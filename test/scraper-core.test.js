@@ -0,0 +1,243 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  getCurrentNFLSeason,
+  generatePlayerSlug,
+  generatePlayerKey,
+  withRetry,
+  fetchPage,
+  getTop250Players,
+  createEmptyRegistry,
+  createPageCache,
+  loadCheckpoint,
+  filterPlayersByName,
+  planScraper,
+  runScraper
+} = require('../Scrapers/lib');
+const { injuryPlugin } = require('../Scrapers/injury-history-scraper');
+const { createFixtureHttp, noSleep, silenceConsole } = require('./helpers');
+
+silenceConsole();
+
+// Error shaped like the ones axios throws for HTTP failures
+function httpError(status) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status };
+  return error;
+}
+
+describe('season helpers', () => {
+  test('treats January-July as the previous season', () => {
+    assert.equal(getCurrentNFLSeason(new Date(2025, 1, 10)), 2024);
+    assert.equal(getCurrentNFLSeason(new Date(2025, 7, 1)), 2025);
+  });
+});
+
+describe('slug helpers', () => {
+  test('builds URL slugs and output keys from player names', () => {
+    assert.equal(generatePlayerSlug("Ja'Marr Chase"), 'jamarr-chase');
+    assert.equal(generatePlayerSlug('Marvin Harrison Jr.'), 'marvin-harrison-jr');
+    assert.equal(generatePlayerKey("Ja'Marr Chase"), 'ja_marr_chase');
+  });
+});
+
+describe('withRetry', () => {
+  test('retries retryable errors and then succeeds', async () => {
+    let calls = 0;
+    const result = await withRetry(async () => {
+      calls++;
+      if (calls < 3) throw httpError(503);
+      return 'ok';
+    }, { retryDelay: 0 });
+    
+    assert.equal(result, 'ok');
+    assert.equal(calls, 3);
+  });
+  
+  test('does not retry client errors', async () => {
+    let calls = 0;
+    await assert.rejects(withRetry(async () => {
+      calls++;
+      throw httpError(404);
+    }, { retryDelay: 0 }));
+    
+    assert.equal(calls, 1);
+  });
+});
+
+describe('fetchPage', () => {
+  test('resolves to null for missing pages', async () => {
+    assert.equal(await fetchPage('https://example.com/missing', { http: createFixtureHttp({}) }), null);
+  });
+});
+
+describe('getTop250Players', () => {
+  test('keeps skill positions only and applies the limit', async () => {
+    const http = createFixtureHttp({
+      '/api/players': {
+        players: [
+          { name: "Ja'Marr Chase", position: 'WR', team: 'CIN', adp: 1 },
+          { name: 'Brandon Aubrey', position: 'K', team: 'DAL', adp: 150 },
+          { name: 'Bijan Robinson', position: 'RB', team: 'ATL', overallRank: 3 },
+          { name: 'Josh Allen', position: 'QB', team: 'BUF', adp: 30 }
+        ]
+      }
+    });
+    
+    const players = await getTop250Players({ http, limit: 2 });
+    
+    assert.deepEqual(players, [
+      { name: "Ja'Marr Chase", position: 'WR', team: 'CIN', adp: 1 },
+      { name: 'Bijan Robinson', position: 'RB', team: 'ATL', adp: 3 }
+    ]);
+  });
+  
+  test('retries when the API is hibernating', async () => {
+    let calls = 0;
+    const http = {
+      async get() {
+        calls++;
+        if (calls === 1) throw httpError(503);
+        return { data: { players: [{ name: 'Josh Allen', position: 'QB', team: 'BUF', adp: 30 }] } };
+      }
+    };
+    
+    const players = await getTop250Players({ http, retryDelay: 0 });
+    
+    assert.equal(calls, 2);
+    assert.equal(players.length, 1);
+  });
+});
+
+describe('runScraper', () => {
+  test('runs a plugin over every player without touching the network', async () => {
+    const http = createFixtureHttp({
+      'jamarr-chase-player-injuries': 'foxsports/jamarr-chase-player-injuries.html',
+      'christian-mccaffrey-player-injuries': 'foxsports/christian-mccaffrey-player-injuries.html'
+    });
+    const players = [
+      { name: "Ja'Marr Chase", position: 'WR', team: 'CIN', adp: 1 },
+      { name: 'Christian McCaffrey', position: 'RB', team: 'SF', adp: 11 },
+      { name: 'Nobody Special', position: 'WR', team: 'FA', adp: 999 }
+    ];
+    
+    const registry = createEmptyRegistry();
+    
+    const result = await runScraper(injuryPlugin, { http, players, registry, batchSize: 2, sleep: noSleep, write: false });
+    
+    assert.deepEqual(result.stats, { successful: 2, failed: 0, wrong_player: 1 });
+    assert.deepEqual(Object.keys(result.data), ['jamarr-chase-wr', 'christian-mccaffrey-rb']);
+    assert.equal(result.data['jamarr-chase-wr'].player_id, 'jamarr-chase-wr');
+    assert.equal(result.total_injuries, 17);
+    assert.equal(registry.players['jamarr-chase-wr'].foxsports_slug, 'jamarr-chase-player-injuries');
+    assert.equal(registry.players['nobody-special-wr'].foxsports_slug, null);
+  });
+  
+  test('checkpoints each batch and resumes where a crashed run stopped', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-'));
+    const players = ['Player One', 'Player Two', 'Player Three'].map((name, i) => ({ name, position: 'WR', team: 'FA', adp: i + 1 }));
+    const scraped = [];
+    const plugin = {
+      name: 'Fake',
+      id: 'fake',
+      scrapePlayer: async (player) => {
+        scraped.push(player.name);
+        return { player_id: player.player_id, name: player.name };
+      },
+      describe: () => 'ok'
+    };
+    const options = {
+      players,
+      batchSize: 2,
+      cacheDir: dir,
+      outputPath: path.join(dir, 'out.json'),
+      registryPath: path.join(dir, 'registry.json')
+    };
+    
+    const crash = () => { throw new Error('crashed between batches'); };
+    await assert.rejects(runScraper(plugin, { ...options, sleep: crash }), /crashed/);
+    assert.deepEqual((await loadCheckpoint('fake', dir)).done, ['player-one-wr', 'player-two-wr']);
+    
+    // A run for other players or seasons must not pick up this run's results
+    await assert.rejects(runScraper(plugin, { ...options, names: ['Player Three'], merge: true, sleep: noSleep, resume: true }), /different options \(names, merge\)/);
+    assert.deepEqual(scraped, ['Player One', 'Player Two']);
+    
+    scraped.length = 0;
+    const result = await runScraper(plugin, { ...options, sleep: noSleep, resume: true });
+    
+    assert.deepEqual(scraped, ['Player Three']);
+    assert.equal(result.total_players, 3);
+    assert.deepEqual(result.stats, { successful: 3, failed: 0, wrong_player: 0 });
+    assert.equal(await loadCheckpoint('fake', dir), null);
+    
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
+
+describe('player subsets', () => {
+  const players = [
+    { name: 'Marvin Harrison', position: 'WR', team: 'ARI', adp: 40 },
+    { name: 'Josh Allen', position: 'QB', team: 'BUF', adp: 30 }
+  ];
+  
+  test('filterPlayersByName matches names loosely', () => {
+    assert.deepEqual(filterPlayersByName(players, ['marvin harrison jr.', 'Nobody']), [players[0]]);
+  });
+  
+  test('planScraper lists the URLs without fetching player pages', async () => {
+    const http = createFixtureHttp({});
+    const plan = await planScraper(injuryPlugin, { http, players, names: ['Josh Allen'], registry: createEmptyRegistry() });
+    
+    assert.equal(plan.length, 1);
+    assert.equal(plan[0].player.player_id, 'josh-allen-qb');
+    assert.equal(plan[0].urls[0], 'https://www.foxsports.com/nfl/josh-allen-player-injuries');
+    assert.deepEqual(http.requested, []);
+  });
+  
+  test('merge keeps everyone else in the existing output', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-'));
+    const outputPath = path.join(dir, 'out.json');
+    fs.writeFileSync(outputPath, JSON.stringify({ data: {
+      'marvin-harrison-wr': { player_id: 'marvin-harrison-wr', seasons: { 2024: 'old' } },
+      'josh-allen-qb': { player_id: 'josh-allen-qb', seasons: { 2023: 'old', 2024: 'old' } }
+    } }));
+    const plugin = {
+      name: 'Fake',
+      scrapePlayer: async player => ({ player_id: player.player_id, seasons: { 2024: 'new' } }),
+      mergeRecord: (existing, fresh) => ({ ...fresh, seasons: { ...existing.seasons, ...fresh.seasons } }),
+      describe: () => 'ok'
+    };
+    
+    const result = await runScraper(plugin, {
+      players, names: ['Josh Allen'], merge: true, outputPath, cacheDir: dir,
+      registryPath: path.join(dir, 'registry.json'), sleep: noSleep
+    });
+    
+    assert.equal(result.total_players, 2);
+    assert.deepEqual(result.data['josh-allen-qb'].seasons, { 2023: 'old', 2024: 'new' });
+    assert.deepEqual(result.data['marvin-harrison-wr'].seasons, { 2024: 'old' });
+    
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
+
+describe('createPageCache', () => {
+  test('serves stored pages and 404s until they expire', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'page-cache-'));
+    const cache = createPageCache({ dir, ttl: url => (url.includes('old') ? Infinity : -1) });
+    
+    assert.equal(await cache.get('https://example.com/old'), undefined);
+    await cache.set('https://example.com/old', '<html></html>');
+    await cache.set('https://example.com/missing-old', null);
+    await cache.set('https://example.com/new', '<html></html>');
+    
+    assert.equal(await cache.get('https://example.com/old'), '<html></html>');
+    assert.equal(await cache.get('https://example.com/missing-old'), null);
+    assert.equal(await cache.get('https://example.com/new'), undefined);
+    
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
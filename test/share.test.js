@@ -0,0 +1,114 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  adpDelta, rankingsCsv, rankingsMarkdown, packBoard, unpackBoard, unpackTiers, sharedPlayer, encodeShare, decodeShare
+} = require('../docs/js/share');
+
+const players = [
+  { id: 'chase', name: "Ja'Marr Chase", team: 'CIN', position: 'WR', overallRank: 1, positionRank: 1, adp: 1, risk: 'Medium', notes: '' },
+  { id: 'bijan', name: 'Bijan Robinson', team: 'ATL', position: 'RB', overallRank: 2, positionRank: 1, adp: 3.5, risk: 'Low', notes: 'Workhorse, "elite"' },
+  { id: 'import-9', name: 'Deep Sleeper', team: '', position: 'WR', overallRank: 3, positionRank: 2, risk: 'High', notes: 'a | b\nc' }
+];
+
+describe('adpDelta', () => {
+  test('is positive when the market takes a player later than your rank', () => {
+    assert.equal(adpDelta(players[1]), 1.5);
+    assert.equal(adpDelta({ overallRank: 10, adp: 4 }), -6);
+    assert.equal(adpDelta(players[2]), null);
+  });
+});
+
+describe('rankingsCsv', () => {
+  test('writes a header and quotes cells that need it', () => {
+    assert.equal(rankingsCsv(players),
+      'Rank,Player,Team,Position,Pos Rank,ADP,ADP Delta,Risk,Notes\n' +
+      "1,Ja'Marr Chase,CIN,WR,WR1,1,0,Medium,\n" +
+      '2,Bijan Robinson,ATL,RB,RB1,3.5,1.5,Low,"Workhorse, ""elite"""\n' +
+      '3,Deep Sleeper,,WR,WR2,,,High,"a | b\nc"\n');
+  });
+  
+  test('keeps formulas from running and quotes carriage returns', () => {
+    const [, row] = rankingsCsv([{ ...players[2], name: '=HYPERLINK("http://x")', team: '@SUM', notes: 'a\rb', overallRank: 10, adp: 4 }]).split('\n');
+    
+    assert.equal(row, `10,"'=HYPERLINK(""http://x"")",'@SUM,WR,WR2,4,-6,High,"a\rb"`);
+  });
+});
+
+describe('rankingsMarkdown', () => {
+  test('builds a table with signed deltas and escaped cells', () => {
+    const lines = rankingsMarkdown(players, 'My 2025 PPR Rankings').split('\n');
+    
+    assert.equal(lines[0], '# My 2025 PPR Rankings');
+    assert.equal(lines[2], '| Rank | Player | Team | Position | Pos Rank | ADP | ADP Delta | Risk | Notes |');
+    assert.equal(lines[3], '| ---: | --- | --- | --- | --- | ---: | ---: | --- | --- |');
+    assert.equal(lines[5], '| 2 | Bijan Robinson | ATL | RB | RB1 | 3.5 | +1.5 | Low | Workhorse, "elite" |');
+    assert.equal(lines[6], '| 3 | Deep Sleeper |  | WR | WR2 |  |  | High | a \\| b c |');
+  });
+});
+
+describe('packBoard', () => {
+  const data = { rankerName: 'Sam', scoringFormat: 'PPR', players, tierBreaks: {} };
+  const pool = [
+    { id: 'bijan', name: 'Bijan Robinson', team: 'ATL', position: 'RB', adp: 3.5 },
+    { id: 'chase', name: "Ja'Marr Chase", team: 'CIN', position: 'WR', adp: 1 }
+  ];
+  
+  test('sends known players as ids and the rest in full', () => {
+    assert.deepEqual(packBoard(data, new Set(['chase', 'bijan'])), {
+      v: 1,
+      name: 'Sam',
+      format: 'PPR',
+      players: ['chase', ['bijan', 'L', 'Workhorse, "elite"'], ['import-9', 'H', 'a | b\nc', 'Deep Sleeper', 'WR', '']]
+    });
+  });
+  
+  test('round-trips through a share code', async () => {
+    const code = await encodeShare(packBoard(data, new Set(['chase', 'bijan'])));
+    const board = unpackBoard(await decodeShare(code), pool);
+    
+    assert.match(code, /^[A-Za-z0-9_-]+$/);
+    assert.deepEqual(board.map(p => [p.id, p.risk, p.notes, p.adp]), [
+      ['chase', 'Medium', '', 1],
+      ['bijan', 'Low', 'Workhorse, "elite"', 3.5],
+      ['import-9', 'High', 'a | b\nc', undefined]
+    ]);
+  });
+  
+  test('refuses links it cannot read', async () => {
+    assert.throws(() => unpackBoard({ v: 2, players: [] }, pool), /Unsupported share link/);
+    await assert.rejects(decodeShare('not-a-share-code'));
+  });
+  
+  test('drops outside players with unsafe ids or unknown positions and cuts long text', () => {
+    const script = '<img src=x onerror=alert(1)>';
+    const board = unpackBoard({ v: 1, players: [
+      ["x');alert(1);//", 'H', 'notes', 'Quote Id', 'WR', 'CIN'],
+      ['hostile-position', 'M', '', 'Bad Position', '<b>LB</b>', 'CIN'],
+      ['no-name', 'M', '', { toString: () => script }, 'WR', 'CIN'],
+      ['import-1', 'M', 'x'.repeat(2000), script.repeat(20), 'RB', script],
+      ['chase', 'L', script]
+    ] }, pool);
+    
+    assert.deepEqual(board.map(p => p.id), ['import-1', 'chase']);
+    assert.equal(board[0].name.length, 80);
+    assert.equal(board[0].team.length, 10);
+    assert.equal(board[0].notes.length, 500);
+    // Text is kept as written; the page escapes it when rendering
+    assert.equal(board[1].notes, script);
+  });
+  
+  test('holds players from other files to the same rules', () => {
+    assert.deepEqual(sharedPlayer({ id: 'bijan', name: 'Bijan Robinson', position: 'RB', team: 'ATL', adp: '3<b>', overallRank: 2, risk: '<i>', notes: 7, extra: 'x' }), {
+      id: 'bijan', name: 'Bijan Robinson', position: 'RB', team: 'ATL', adp: undefined, overallRank: 2, risk: 'Medium', notes: ''
+    });
+    assert.equal(sharedPlayer({ id: 'p"0', name: 'Quote', position: 'WR' }), null);
+    assert.equal(sharedPlayer({ id: 'lb', name: 'Linebacker', position: '<b>LB</b>' }), null);
+    assert.equal(sharedPlayer(null), null);
+  });
+  
+  test('keeps only tier breaks that are lists of plain ids under known positions', () => {
+    assert.deepEqual(unpackTiers({ tiers: { QB: 'x', RB: ['bijan', 7, "x');"], LB: ['a'], WR: [] } }), { RB: ['bijan'], WR: [] });
+    assert.deepEqual(unpackTiers({ tiers: ['RB'] }), {});
+    assert.deepEqual(unpackTiers({}), {});
+  });
+});
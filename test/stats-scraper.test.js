@@ -0,0 +1,433 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  detectPositionFromHeaders,
+  parseTotalsCellsByPosition,
+  extractTotalsFromPage,
+  parseGameLogPage,
+  parseOpponent,
+  parseGameResult,
+  parseGameRows,
+  summarizeGames,
+  parseWeeklyGameLogPage,
+  seasonCompletedAt,
+  reusableSeason,
+  gameLogCacheTtl,
+  mergeHistoryRecords,
+  mergeStatsRecords,
+  plannedGameLogUrls,
+  statsPlugin,
+  getPlayerCompleteHistory
+} = require('../Scrapers/stats-scraper');
+const { createContext, getCurrentNFLSeason } = require('../Scrapers/lib');
+const { loadFixture, createFixtureHttp, noSleep, silenceConsole } = require('./helpers');
+
+silenceConsole();
+
+describe('detectPositionFromHeaders', () => {
+  test('detects QB tables from passing columns', () => {
+    assert.equal(detectPositionFromHeaders(['WEEK', 'OPP', 'CMP', 'ATT', 'PCT', 'YDS']), 'QB');
+  });
+  
+  test('detects RB tables when rushing comes before receiving', () => {
+    assert.equal(detectPositionFromHeaders(['WEEK', 'ATT', 'YDS', 'REC', 'TGT']), 'RB');
+  });
+  
+  test('detects WR tables when receiving comes before rushing', () => {
+    assert.equal(detectPositionFromHeaders(['WEEK', 'REC', 'TGT', 'YDS', 'ATT']), 'WR');
+  });
+  
+  test('uses the listed position to tell tight ends from receivers', () => {
+    assert.equal(detectPositionFromHeaders(['WEEK', 'REC', 'TGT', 'YDS', 'ATT'], 'TE'), 'TE');
+    assert.equal(detectPositionFromHeaders(['WEEK', 'REC', 'YDS'], 'TE'), 'TE');
+  });
+  
+  test('detects kicker and defense tables', () => {
+    assert.equal(detectPositionFromHeaders(['WEEK', 'FG', 'FGA', 'PCT', 'XPT', 'XPA']), 'K');
+    assert.equal(detectPositionFromHeaders(['WEEK', 'SACK', 'INT', 'FR', 'FF', 'SFTY', 'PA']), 'DST');
+  });
+  
+  test('falls back to WR for receiving-only tables and RB otherwise', () => {
+    assert.equal(detectPositionFromHeaders(['WEEK', 'REC', 'YDS']), 'WR');
+    assert.equal(detectPositionFromHeaders(['WEEK', 'YDS']), 'RB');
+  });
+  
+  test('accepts { label, group } headers', () => {
+    assert.equal(detectPositionFromHeaders([{ label: 'CMP' }, { label: 'ATT' }, { label: 'PCT' }]), 'QB');
+  });
+});
+
+describe('parseTotalsCellsByPosition', () => {
+  const RB_HEADERS = ['WEEK', 'OPP', 'RESULT', 'ATT', 'YDS', 'Y/A', 'LG', 'TD', 'REC', 'TGT', 'YDS', 'Y/R', 'LG', 'TD', 'FUM', 'LOST', 'POINTS'];
+  
+  test('maps each cell to the header above it', () => {
+    const cells = ['Totals', '', '', '304', '1,456', '4.8', '37', '14', '61', '72', '431', '7.1', '29', '1', '1', '0', '280.7'];
+    
+    const result = parseTotalsCellsByPosition(cells, RB_HEADERS);
+    
+    assert.equal(result.detectedPosition, 'RB');
+    assert.equal(result.rush_att, 304);
+    assert.equal(result.rush_yds, 1456);
+    assert.equal(result.rec_yds, 431);
+    assert.equal(result.fantasy_points, 280.7);
+    assert.equal(result.missing_columns, undefined);
+  });
+  
+  test('keeps blank cells blank instead of shifting later columns', () => {
+    const cells = ['Totals', '', '', '304', '', '4.8', '37', '14', '61', '72', '431', '7.1', '29', '1', '1', '0', '280.7'];
+    
+    const result = parseTotalsCellsByPosition(cells, RB_HEADERS);
+    
+    assert.equal(result.rush_yds, undefined);
+    assert.equal(result.rush_ya, 4.8);
+    assert.equal(result.fantasy_points, 280.7);
+  });
+  
+  test('lines stat columns up from the right when the totals row is short', () => {
+    const cells = ['Totals', '304', '1,456', '4.8', '37', '14', '61', '72', '431', '7.1', '29', '1', '1', '0', '280.7'];
+    
+    assert.equal(parseTotalsCellsByPosition(cells, RB_HEADERS).rush_att, 304);
+  });
+  
+  test('uses header groups to tell passing yards from rushing yards', () => {
+    const headers = [
+      { label: 'CMP', group: 'PASSING' }, { label: 'ATT', group: 'PASSING' }, { label: 'PCT', group: 'PASSING' },
+      { label: 'YDS', group: 'PASSING' }, { label: 'TD', group: 'PASSING' }, { label: 'INT', group: 'PASSING' },
+      { label: 'ATT', group: 'RUSHING' }, { label: 'YDS', group: 'RUSHING' }, { label: 'POINTS', group: null }
+    ];
+    const cells = ['Totals', '307', '483', '63.6', '3,731', '28', '6', '102', '531', '385.1'];
+    
+    const result = parseTotalsCellsByPosition(cells, [{ label: 'WEEK', group: null }, ...headers]);
+    
+    assert.equal(result.pass_yds, 3731);
+    assert.equal(result.rush_yds, 531);
+    assert.ok(result.missing_columns.includes('pass_sacks'));
+  });
+  
+  test('reports rows without a "Totals" label', () => {
+    const result = parseTotalsCellsByPosition(['1', 'vs ARI', '18'], ['CMP', 'ATT', 'PCT']);
+    assert.deepEqual(result, { isEmpty: true, reason: 'no_data_start' });
+  });
+  
+  test('reports tables whose headers do not match the structure', () => {
+    const result = parseTotalsCellsByPosition(['Totals', '18', '23', '78.3'], ['WEEK', 'CMP', 'ATT', 'PCT']);
+    assert.equal(result.reason, 'column_mismatch');
+    assert.ok(result.missing_columns.includes('fantasy_points'));
+  });
+  
+  test('reports rows where every stat is missing', () => {
+    const cells = ['Totals', '', '', ...RB_HEADERS.slice(3).map(() => '-')];
+    assert.deepEqual(parseTotalsCellsByPosition(cells, RB_HEADERS), { isEmpty: true, reason: 'no_valid_stats' });
+  });
+  
+  test('rejects a table that belongs to a different kind of player', () => {
+    const cells = ['Totals', '', '', '304', '1,456', '4.8', '37', '14', '61', '72', '431', '7.1', '29', '1', '1', '0', '280.7'];
+    
+    const result = parseTotalsCellsByPosition(cells, RB_HEADERS, 'QB');
+    
+    assert.equal(result.reason, 'position_mismatch');
+    assert.equal(result.detectedPosition, 'RB');
+  });
+});
+
+describe('extractTotalsFromPage', () => {
+  test('parses a QB game log', () => {
+    const result = extractTotalsFromPage(loadFixture('fantasypros/josh-allen-qb-2024.html'));
+    
+    assert.equal(result.detectedPosition, 'QB');
+    assert.equal(result.pass_cmp, 307);
+    assert.equal(result.pass_pct, 63.6);
+    assert.equal(result.pass_yds, 3731);
+    assert.equal(result.rush_yds, 531);
+    assert.equal(result.rush_td, 12);
+    assert.equal(result.fantasy_points, 385.1);
+  });
+  
+  test('parses an RB game log', () => {
+    const result = extractTotalsFromPage(loadFixture('fantasypros/bijan-robinson-2024.html'));
+    
+    assert.equal(result.detectedPosition, 'RB');
+    assert.equal(result.rush_yds, 1456);
+    assert.equal(result.rec, 61);
+    assert.equal(result.rec_yds, 431);
+    assert.equal(result.fantasy_points, 280.7);
+  });
+  
+  test('parses a WR game log', () => {
+    const result = extractTotalsFromPage(loadFixture('fantasypros/jamarr-chase-2024.html'));
+    
+    assert.equal(result.detectedPosition, 'WR');
+    assert.equal(result.rec, 127);
+    assert.equal(result.rec_yds, 1708);
+    assert.equal(result.rush_yds, 32);
+    assert.equal(result.fantasy_points, 276);
+  });
+  
+  test('parses a TE game log as a tight end', () => {
+    const result = extractTotalsFromPage(loadFixture('fantasypros/travis-kelce-2024.html'), 'TE');
+    
+    assert.equal(result.detectedPosition, 'TE');
+    assert.equal(result.rec, 97);
+    assert.equal(result.rec_yds, 823);
+    assert.equal(result.fantasy_points, 98.4);
+  });
+  
+  test('parses a kicker game log with a spanning "Totals" cell', () => {
+    const result = extractTotalsFromPage(loadFixture('fantasypros/brandon-aubrey-2024.html'), 'K');
+    
+    assert.equal(result.detectedPosition, 'K');
+    assert.equal(result.fg, 35);
+    assert.equal(result.fg_pct, 94.6);
+    assert.equal(result.fg_50_plus, 10);
+    assert.equal(result.xp_att, 24);
+    assert.equal(result.fantasy_points, 161);
+  });
+  
+  test('parses a defense game log', () => {
+    const result = extractTotalsFromPage(loadFixture('fantasypros/denver-broncos-2024.html'), 'DST');
+    
+    assert.equal(result.detectedPosition, 'DST');
+    assert.equal(result.def_sack, 40);
+    assert.equal(result.def_td, 4);
+    assert.equal(result.def_yds_allowed, 5402);
+    assert.equal(result.fantasy_points, 137);
+  });
+  
+  test('reports pages without a totals row', () => {
+    const result = extractTotalsFromPage(loadFixture('fantasypros/no-game-data.html'));
+    assert.deepEqual(result, { isEmpty: true, reason: 'no_totals_found' });
+  });
+});
+
+describe('parseGameLogPage', () => {
+  test('returns null for "no game data" pages', () => {
+    assert.equal(parseGameLogPage(loadFixture('fantasypros/no-game-data.html')), null);
+  });
+  
+  test('returns the totals for a real game log', () => {
+    assert.equal(parseGameLogPage(loadFixture('fantasypros/bijan-robinson-2024.html')).rush_att, 304);
+  });
+});
+
+describe('weekly game rows', () => {
+  test('splits opponent and result cells', () => {
+    assert.deepEqual(parseOpponent('vs ARI'), { opponent: 'ARI', home: true });
+    assert.deepEqual(parseOpponent('@ MIA'), { opponent: 'MIA', home: false });
+    assert.deepEqual(parseGameResult('L 10-18'), { result: 'L', team_score: 10, opponent_score: 18 });
+    assert.deepEqual(parseGameResult('-'), { result: null, team_score: null, opponent_score: null });
+  });
+  
+  test('keeps every game row, skips the bye and leaves out the totals', () => {
+    const result = parseWeeklyGameLogPage(loadFixture('fantasypros/josh-allen-qb-2024.html'), { position: 'QB' });
+    
+    assert.equal(result.detectedPosition, 'QB');
+    assert.deepEqual(result.games.map(game => game.week), [1, 2, 3]);
+    assert.equal(result.games[0].opponent, 'ARI');
+    assert.equal(result.games[0].pass_yds, 232);
+    assert.equal(result.games[0].rush_yds, 39);
+    assert.equal(result.games[1].home, false);
+    assert.equal(result.games[2].fantasy_points, 30.9);
+    assert.equal(result.fantasy_points, 73.6);
+  });
+  
+  test('marks games without stats as missed', () => {
+    const headers = ['WEEK', 'OPP', 'RESULT', 'REC', 'TGT', 'YDS', 'Y/R', 'LG', 'TD', 'ATT', 'YDS', 'Y/A', 'LG', 'TD', 'FUM', 'LOST', 'POINTS'];
+    const rows = [
+      ['1', 'vs BAL', 'W 27-20', '3', '5', '34', '11.3', '16', '0', '0', '0', '0', '0', '0', '0', '0', '6.4'],
+      ['2', 'vs CIN', 'W 26-25', '-', '-', '-', '-', '-', '-', '-', '-', '-', '-', '-', '-', '-', '-']
+    ];
+    
+    const result = parseGameRows(rows, headers, 'TE');
+    
+    assert.equal(result.detectedPosition, 'TE');
+    assert.deepEqual(result.games.map(game => game.played), [true, false]);
+    assert.equal(summarizeGames(result.games).games_played, 1);
+  });
+  
+  test('summarizes points per game and spread', () => {
+    const summary = summarizeGames([
+      { played: true, fantasy_points: 10 },
+      { played: true, fantasy_points: 20 },
+      { played: false }
+    ]);
+    
+    assert.deepEqual(summary, { games_played: 2, fantasy_points: 30, points_per_game: 15, points_stdev: 5 });
+  });
+  
+  test('returns null for "no game data" pages', () => {
+    assert.equal(parseWeeklyGameLogPage(loadFixture('fantasypros/no-game-data.html')), null);
+  });
+});
+
+describe('getPlayerCompleteHistory', () => {
+  const currentSeason = getCurrentNFLSeason();
+  
+  test('walks back through seasons until it finds two empty years', async () => {
+    const http = createFixtureHttp({
+      [`bijan-robinson.php?season=${currentSeason}`]: 'fantasypros/bijan-robinson-2024.html',
+      [`bijan-robinson.php?season=${currentSeason - 1}`]: 'fantasypros/bijan-robinson-2024.html',
+      [`bijan-robinson.php?season=${currentSeason - 2}`]: 'fantasypros/no-game-data.html'
+    });
+    const player = { name: 'Bijan Robinson', position: 'RB', team: 'ATL', adp: 3 };
+    const ctx = createContext([player], { http, sleep: noSleep });
+    
+    const result = await getPlayerCompleteHistory(player, ctx);
+    
+    assert.deepEqual(Object.keys(result.seasons).map(Number), [currentSeason - 1, currentSeason]);
+    assert.equal(result.seasons[currentSeason].urlUsed, 'bijan-robinson');
+    assert.equal(result.is_likely_rookie, false);
+  });
+  
+  test('falls back to the position-suffixed slug', async () => {
+    const http = createFixtureHttp({
+      [`josh-allen-qb.php?season=${currentSeason}`]: 'fantasypros/josh-allen-qb-2024.html'
+    });
+    const player = { name: 'Josh Allen', position: 'QB', team: 'BUF', adp: 30 };
+    const ctx = createContext([player], { http, sleep: noSleep });
+    
+    const result = await getPlayerCompleteHistory(player, ctx);
+    
+    assert.equal(result.seasons[currentSeason].urlUsed, 'josh-allen-qb');
+    assert.ok(http.requested.some(url => url.includes(`josh-allen.php?season=${currentSeason}`)));
+  });
+  
+  test('stores weekly rows per season when given the weekly parser', async () => {
+    const http = createFixtureHttp({
+      [`bijan-robinson.php?season=${currentSeason}`]: 'fantasypros/bijan-robinson-2024.html'
+    });
+    const player = { name: 'Bijan Robinson', position: 'RB', team: 'ATL', adp: 3 };
+    const ctx = createContext([player], { http, sleep: noSleep });
+    
+    const result = await getPlayerCompleteHistory(player, ctx, parseWeeklyGameLogPage);
+    
+    assert.equal(result.seasons[currentSeason].games.length, 2);
+    assert.equal(result.seasons[currentSeason].games[1].opponent, 'PHI');
+    assert.equal(result.seasons[currentSeason].points_per_game, 17.2);
+  });
+  
+  test('flags players with no history as likely rookies', async () => {
+    const http = createFixtureHttp({});
+    const player = { name: 'Ashton Jeanty', position: 'RB', team: 'LV', adp: 8 };
+    const ctx = createContext([player], { http, sleep: noSleep });
+    
+    const result = await getPlayerCompleteHistory(player, ctx);
+    
+    assert.equal(result.is_likely_rookie, true);
+    assert.equal(result.total_seasons, 0);
+  });
+  
+  test('reuses completed seasons from the previous run and only fetches the current one', async () => {
+    const http = createFixtureHttp({
+      [`bijan-robinson.php?season=${currentSeason}`]: 'fantasypros/bijan-robinson-2024.html'
+    });
+    const player = { name: 'Bijan Robinson', position: 'RB', team: 'ATL', adp: 3, player_id: 'bijan-robinson-rb' };
+    const finalSeason = { year: currentSeason - 1, fantasy_points: 300, scraped_at: seasonCompletedAt(currentSeason - 1).toISOString() };
+    const previous = {
+      'bijan-robinson-rb': {
+        seasons: { [currentSeason - 1]: finalSeason },
+        scraped_at: new Date().toISOString()
+      }
+    };
+    const ctx = createContext([player], { http, sleep: noSleep, previous });
+    
+    const result = await getPlayerCompleteHistory(player, ctx);
+    
+    assert.deepEqual(Object.keys(result.seasons).map(Number), [currentSeason - 1, currentSeason]);
+    assert.equal(result.seasons[currentSeason - 1], finalSeason);
+    assert.ok(http.requested.every(url => url.includes(`season=${currentSeason}`)));
+  });
+});
+
+describe('season ranges', () => {
+  test('fetches exactly the requested seasons', async () => {
+    const http = createFixtureHttp({
+      'bijan-robinson.php?season=2023': 'fantasypros/bijan-robinson-2024.html'
+    });
+    const player = { name: 'Bijan Robinson', position: 'RB', team: 'ATL', adp: 3 };
+    const ctx = createContext([player], { http, sleep: noSleep, seasons: { from: 2022, to: 2023 } });
+    
+    const result = await getPlayerCompleteHistory(player, ctx);
+    
+    assert.deepEqual(Object.keys(result.seasons), ['2023']);
+    assert.ok(http.requested.every(url => /season=202[23]$/.test(url)));
+    assert.equal(plannedGameLogUrls(player, ctx).length, 4);
+  });
+  
+  test('merging keeps seasons outside the re-scraped range', () => {
+    const merged = mergeHistoryRecords(
+      { seasons: { 2022: 'old', 2023: 'old' }, is_likely_rookie: false },
+      { seasons: { 2023: 'new' }, total_seasons: 1, is_likely_rookie: false }
+    );
+    
+    assert.deepEqual(merged.seasons, { 2022: 'old', 2023: 'new' });
+    assert.equal(merged.total_seasons, 2);
+  });
+});
+
+describe('reusableSeason', () => {
+  const completed = seasonCompletedAt(2023).toISOString();
+  
+  test('reuses seasons scraped after they finished', () => {
+    const season = { year: 2023, scraped_at: completed };
+    assert.equal(reusableSeason({ seasons: { 2023: season }, scraped_at: completed }, 2023), season);
+  });
+  
+  test('refetches seasons scraped while still in progress', () => {
+    const season = { year: 2023, scraped_at: '2023-12-01T00:00:00.000Z' };
+    assert.equal(reusableSeason({ seasons: { 2023: season }, scraped_at: completed }, 2023), undefined);
+  });
+  
+  test('treats gaps as known empty only for players with some data', () => {
+    const season = { year: 2022, scraped_at: completed };
+    assert.equal(reusableSeason({ seasons: { 2022: season }, scraped_at: completed }, 2023), null);
+    assert.equal(reusableSeason({ seasons: {}, scraped_at: completed }, 2023), undefined);
+    assert.equal(reusableSeason(null, 2023), undefined);
+  });
+});
+
+describe('gameLogCacheTtl', () => {
+  test('keeps finished seasons forever and expires the current one', () => {
+    const currentSeason = getCurrentNFLSeason();
+    assert.equal(gameLogCacheTtl('https://www.fantasypros.com/nfl/games/a.php?season=2020'), Infinity);
+    assert.ok(Number.isFinite(gameLogCacheTtl(`https://www.fantasypros.com/nfl/games/a.php?season=${currentSeason}`)));
+  });
+});
+
+describe('mergeStatsRecords', () => {
+  const player = { player_id: 'bijan-robinson-rb', name: 'Bijan Robinson', position: 'RB', team: 'ATL', adp: 3 };
+  
+  test('fills missing stats from later sources and records where each value came from', () => {
+    const result = mergeStatsRecords(player, [
+      { source: 'fantasypros', record: { seasons: { 2023: { year: 2023, rush_yds: 976, rec: 58, fantasy_points: 230 } } } },
+      { source: 'csv:stats.csv', record: { seasons: {
+        2023: { year: 2023, rush_yds: 980, rec: 58, rec_tgt: 86 },
+        2022: { year: 2022, rec: 1 }
+      } } }
+    ]);
+    
+    assert.deepEqual(result.seasons[2023], {
+      source: 'fantasypros',
+      year: 2023,
+      rush_yds: 976,
+      rec: 58,
+      fantasy_points: 230,
+      rec_tgt: 86,
+      value_sources: { rec_tgt: 'csv:stats.csv' },
+      conflicts: [{ key: 'rush_yds', kept: 'fantasypros', values: { fantasypros: 976, 'csv:stats.csv': 980 } }]
+    });
+    assert.equal(result.seasons[2022].source, 'csv:stats.csv');
+    assert.equal(result.total_seasons, 2);
+    assert.deepEqual(result.sources, ['fantasypros', 'csv:stats.csv']);
+  });
+  
+  test('the stats plugin tags every season with its source', async () => {
+    const currentSeason = getCurrentNFLSeason();
+    const http = createFixtureHttp({ [`bijan-robinson.php?season=${currentSeason}`]: 'fantasypros/bijan-robinson-2024.html' });
+    const ctx = createContext([player], { http, sleep: noSleep });
+    
+    const result = await statsPlugin.scrapePlayer(player, ctx);
+    
+    assert.equal(result.seasons[currentSeason].source, 'fantasypros');
+    assert.deepEqual(result.sources, ['fantasypros']);
+  });
+});
@@ -0,0 +1,39 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { adpMovement, adpTrends, biggestMovers } = require('../docs/js/trends');
+
+const series = {
+  dates: ['2025-07-01', '2025-07-10', '2025-07-25', '2025-08-01'],
+  players: {
+    chase: [1.5, 1.4, 1.2, 1.1],
+    nacua: [20, 18, 14, 12.4],
+    hall: [10, 11, 15, 16],
+    rookie: [null, null, 80, 70],
+    gone: [50, 52, 55, null]
+  }
+};
+
+describe('adpMovement', () => {
+  test('compares the latest ADP with the last one on or before the start of the window', () => {
+    assert.deepEqual(adpMovement(series, 'nacua', 7), { change: 1.6, from: 14, to: 12.4 });
+    assert.deepEqual(adpMovement(series, 'nacua', 30), { change: 7.6, from: 20, to: 12.4 });
+    assert.deepEqual(adpMovement(series, 'hall', 10), { change: -5, from: 11, to: 16 });
+  });
+  
+  test('has no movement without both ends', () => {
+    assert.equal(adpMovement(series, 'rookie', 30), null);
+    assert.equal(adpMovement(series, 'gone', 7), null);
+    assert.equal(adpMovement(series, 'nobody', 7), null);
+    assert.equal(adpMovement({ dates: ['2025-08-01'], players: { chase: [1] } }, 'chase', 7), null);
+  });
+});
+
+describe('biggestMovers', () => {
+  test('keeps the players who moved most either way, in board order', () => {
+    const trends = adpTrends(series);
+    const players = ['chase', 'hall', 'nacua', 'rookie'].map(id => ({ id }));
+    
+    assert.deepEqual(biggestMovers(players, trends, 30, { count: 2 }).map(p => p.id), ['hall', 'nacua']);
+    assert.deepEqual(biggestMovers(players, trends, 7, { minChange: 2 }).map(p => p.id), ['rookie']);
+  });
+});
@@ -0,0 +1,74 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { replacementLevels, valueOverReplacement, tierBreaks, adpFlag } = require('../docs/js/value');
+const { normalizeLeague } = require('../docs/js/draft');
+
+// Two-team league starting 1 QB, 1 RB, 1 WR and a FLEX
+const league = normalizeLeague({ teams: 2, roster: { QB: 1, RB: 1, WR: 1, TE: 0, FLEX: 1, K: 0, DST: 0, BENCH: 2 } });
+
+const pool = [
+  { id: 'qb1', position: 'QB', points: 380 },
+  { id: 'qb2', position: 'QB', points: 350 },
+  { id: 'qb3', position: 'QB', points: 300 },
+  { id: 'rb1', position: 'RB', points: 300 },
+  { id: 'rb2', position: 'RB', points: 250 },
+  { id: 'rb3', position: 'RB', points: 240 },
+  { id: 'rb4', position: 'RB', points: 150 },
+  { id: 'wr1', position: 'WR', points: 280 },
+  { id: 'wr2', position: 'WR', points: 260 },
+  { id: 'wr3', position: 'WR', points: 200 },
+  { id: 'wr4', position: 'WR', points: 190 },
+  { id: 'rookie', position: 'WR', points: null }
+];
+
+describe('replacementLevels', () => {
+  test('gives FLEX spots to the best leftover RB/WR/TE', () => {
+    // Starters: QB 2, RB 2 + FLEX rb3, WR 2 + FLEX wr3
+    assert.deepEqual(replacementLevels(pool, league), { QB: 300, RB: 150, WR: 190 });
+  });
+  
+  test('falls back to zero when a position runs out of players', () => {
+    assert.deepEqual(replacementLevels(pool.filter(p => p.position === 'QB').slice(0, 2), league), { QB: 0 });
+  });
+});
+
+describe('valueOverReplacement', () => {
+  test('scores players against their position and skips players without points', () => {
+    const values = valueOverReplacement(pool, league);
+    
+    assert.equal(values.qb1, 80);
+    assert.equal(values.rb1, 150);
+    assert.equal(values.wr4, 0);
+    assert.equal('rookie' in values, false);
+  });
+});
+
+describe('tierBreaks', () => {
+  test('starts a tier at an ADP jump well above the nearby spacing', () => {
+    assert.deepEqual(tierBreaks([1, 3, 4, 6, 20, 22, 23, 25, 26, 60, 62, 65]), [4, 9]);
+  });
+  
+  test('judges late picks against their own wider spacing', () => {
+    const late = [100, 110, 118, 130, 139, 150, 158, 170];
+    
+    assert.deepEqual(tierBreaks(late), []);
+    assert.deepEqual(tierBreaks([...late, 230, 240]), [8]);
+  });
+  
+  test('skips players without ADP and keeps tiers at least minSize long', () => {
+    assert.deepEqual(tierBreaks([1, null, 2, 3, 4, 15, 16, 30, 31, 32]), [5, 7]);
+    assert.deepEqual(tierBreaks([1, null, 2, 3, 4, 15, 16, 30, 31, 32], { minSize: 3 }), [5]);
+    assert.deepEqual(tierBreaks([null, 10]), []);
+  });
+});
+
+describe('adpFlag', () => {
+  test('flags reaches and values once the gap passes the margin', () => {
+    assert.equal(adpFlag(30, 12), 'reach');
+    assert.equal(adpFlag(30, 45), 'value');
+    assert.equal(adpFlag(30, 35), null);
+    assert.equal(adpFlag(100, 75), null);
+    assert.equal(adpFlag(100, 65), 'reach');
+    assert.equal(adpFlag(10, undefined), null);
+  });
+});